@@ -14,11 +14,90 @@ cfg.routes = {
   basePath
 };
 
+cfg.profileAgents = {
+  pagination: {
+    // default number of profile agents per page
+    defaultLimit: 100,
+    // maximum number of profile agents per page
+    maxLimit: 1000
+  },
+  deletion: {
+    // default: deleted profile agents may be restored for 30 days
+    retention: 30 * 24 * 60 * 60 * 1000,
+    // default: remove deleted profile agents past retention every hour
+    sweepInterval: 60 * 60 * 1000
+  }
+};
+
 cfg.zcap = {
   // default: 24 hour expiration
+  ttl: 24 * 60 * 60 * 1000,
+  // maximum expiration a client may request when delegating a zcap
+  maxTtl: 24 * 60 * 60 * 1000,
+  // default window for reporting and refreshing zcaps in a capability set
+  // that are about to expire
+  refreshWindow: 60 * 60 * 1000,
+  // maximum expirations for specific controllers that override `maxTtl`; the
+  // first policy whose `controller` equals or whose `pattern` (a regular
+  // expression) matches the controller applies
+  controllers: [
+    //{controller: 'did:key:z6Mk...', maxTtl: 30 * 24 * 60 * 60 * 1000},
+    //{pattern: '^did:web:example\\.com', maxTtl: 60 * 60 * 1000}
+  ]
+};
+
+// policy applied to every zcap delegated by a profile agent; handlers of the
+// `bedrock-profile-http.delegateCapabilities` event may deny delegations
+// this policy allows
+cfg.delegationPolicy = {
+  // controllers that may never be delegated to; entries have a `controller`
+  // or a `pattern` (a regular expression), like `zcap.controllers`
+  denyControllers: [],
+  // if not empty, the only controllers that may be delegated to
+  allowControllers: [],
+  // if not empty, the only actions delegated zcaps may allow, e.g. `['read']`
+  allowedActions: [],
+  // require delegated zcaps to have a narrower invocation target than the
+  // zcaps they are delegated from
+  requireNarrowerInvocationTarget: false,
+  // controllers that are delegated to without resolving them, such as
+  // controllers that are not DIDs; every other controller must resolve to a
+  // DID document with a `capabilityInvocation` verification method
+  unresolvedControllers: [
+    //{pattern: '^https://'}
+  ]
+};
+
+cfg.idempotency = {
+  // default: keep responses for requests w/ `Idempotency-Key` for 24 hours
   ttl: 24 * 60 * 60 * 1000
 };
 
+cfg.provisioningJobs = {
+  // default: keep asynchronous profile provisioning jobs for 24 hours
+  ttl: 24 * 60 * 60 * 1000,
+  // default: a pending or running job that has not progressed for 10 minutes
+  // is considered stopped, e.g. because its process exited, and fails
+  timeout: 10 * 60 * 1000
+};
+
+cfg.meterCleanup = {
+  // default: retry removing meters left by failed provisioning every hour
+  sweepInterval: 60 * 60 * 1000
+};
+
+cfg.invitations = {
+  // default: invitations to a profile expire after 7 days
+  ttl: 7 * 24 * 60 * 60 * 1000
+};
+
+cfg.tokenRedemption = {
+  // maximum failed attempts to redeem a profile agent's token per window
+  maxFailedAttempts: 5,
+  // default: 15 minute window
+  window: 15 * 60 * 1000
+};
+
 // default products (if none specified in request)
 cfg.defaultProducts = {
   // mock ID for default edv service product
@@ -27,6 +106,30 @@ cfg.defaultProducts = {
   webkms: 'urn:uuid:80a82316-e8c2-11eb-9570-10bf48838a41'
 };
 
+cfg.quotas = {
+  // maximum number of profiles an account may have; `null` for no limit
+  maxProfiles: null,
+  // maximum number of profile agents an account may have; `null` for no limit
+  maxProfileAgents: null,
+  // quotas for specific accounts that override the above
+  accounts: {
+    //'urn:uuid:...': {maxProfiles: 100, maxProfileAgents: 1000}
+  },
+  // optional URL where an account's quotas can be upgraded; included in
+  // quota errors
+  upgradeUrl: ''
+};
+
+// products that may be requested instead of the default products; products
+// listed under `accounts` are only allowed for the account with the given ID
+cfg.allowedProducts = {
+  edv: [],
+  webkms: [],
+  accounts: {
+    //'urn:uuid:...': {edv: ['urn:uuid:...'], webkms: ['urn:uuid:...']}
+  }
+};
+
 // base URL to EDV service: `cfg.edvBaseUrl`
 const edvBaseUrlName = `${namespace}.edvBaseUrl`;
 cc(edvBaseUrlName, () => `${bedrock.config.server.baseUri}`);
@@ -0,0 +1,37 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Finds the first rule that matches a controller. A rule matches if its
+ * `controller` equals the controller or, if it has no `controller`, if its
+ * `pattern` (a regular expression) matches the controller.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<object>} options.rules - The rules, such as the
+ *   `zcap.controllers` or `delegationPolicy.denyControllers` config.
+ * @param {string} options.controller - The controller.
+ *
+ * @returns {object|undefined} The first matching rule, if any.
+ */
+export function find({rules, controller} = {}) {
+  return rules.find(rule => {
+    if(rule.controller !== undefined) {
+      return rule.controller === controller;
+    }
+    return new RegExp(rule.pattern).test(controller);
+  });
+}
+
+/**
+ * Returns whether any rule matches a controller; see `find`.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<object>} options.rules - The rules.
+ * @param {string} options.controller - The controller.
+ *
+ * @returns {boolean} `true` if a rule matches the controller.
+ */
+export function matches({rules, controller} = {}) {
+  return find({rules, controller}) !== undefined;
+}
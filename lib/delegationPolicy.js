@@ -0,0 +1,212 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as controllerRules from './controllerRules.js';
+import {didIo} from '@bedrock/did-io';
+
+const {config, util: {BedrockError}} = bedrock;
+
+/**
+ * Checks requested delegations against the configured delegation policy and
+ * any policies added by handlers of the
+ * `bedrock-profile-http.delegateCapabilities` event. Every delegation is
+ * checked before any zcap is delegated. Each controller must resolve, via
+ * the configured DID resolvers, to a DID document with a
+ * `capabilityInvocation` verification method unless it matches
+ * `delegationPolicy.unresolvedControllers`.
+ *
+ * Event handlers receive `{profileAgent, delegations, deny}` and call
+ * `deny({index, reason, message})` to refuse a delegation.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgent - The delegating profile agent.
+ * @param {Array<object>} options.delegations - The requested delegations,
+ *   each with `zcap`, `controller`, and optional `allowedAction` and
+ *   `invocationTarget` attenuations.
+ *
+ * @returns {Promise} Resolves once the operation completes or rejects with a
+ *   `NotAllowedError` with the reason the first refused delegation was
+ *   refused.
+ */
+export async function check({profileAgent, delegations} = {}) {
+  const denials = [];
+  const deny = ({index, reason, message}) => {
+    denials.push({index, reason, message});
+  };
+
+  await Promise.all(delegations.map(async (delegation, index) => {
+    const denial = _checkDelegation({delegation}) ??
+      await _checkControllers({delegation});
+    if(denial) {
+      deny({index, ...denial});
+    }
+  }));
+
+  await bedrock.events.emit(
+    'bedrock-profile-http.delegateCapabilities',
+    {profileAgent, delegations, deny});
+
+  if(denials.length > 0) {
+    const [denial] = denials.sort((a, b) => a.index - b.index);
+    throw new BedrockError(
+      `Delegation ${denial.index} is not allowed: ${denial.message}`,
+      'NotAllowedError', {
+        ...denial,
+        denials,
+        httpStatusCode: 403,
+        public: true
+      });
+  }
+}
+
+/**
+ * Gets the actions a delegated zcap will allow: the requested actions or,
+ * if none are requested, the actions of the zcap it is delegated from.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.delegation - The requested delegation.
+ *
+ * @returns {Array<string>|undefined} The allowed actions or `undefined` if
+ *   the delegated zcap will allow every action.
+ */
+export function getAllowedActions({delegation} = {}) {
+  const allowedAction = delegation.allowedAction ??
+    delegation.zcap.allowedAction;
+  if(allowedAction === undefined) {
+    return undefined;
+  }
+  return Array.isArray(allowedAction) ? allowedAction : [allowedAction];
+}
+
+/**
+ * Gets the invocation target URL of a zcap.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.zcap - The zcap.
+ *
+ * @returns {string} The invocation target URL.
+ */
+export function getInvocationTarget({zcap} = {}) {
+  const {invocationTarget} = zcap;
+  return typeof invocationTarget === 'object' ?
+    invocationTarget.id : invocationTarget;
+}
+
+/**
+ * Returns whether an invocation target is the same as or narrower than
+ * another. A target is narrower if it extends the other's path or adds a
+ * query.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.target - The invocation target.
+ * @param {string} options.parentTarget - The invocation target it must be
+ *   within.
+ *
+ * @returns {boolean} `true` if the target is within the parent target.
+ */
+export function isWithinInvocationTarget({target, parentTarget} = {}) {
+  return target === parentTarget || (typeof target === 'string' &&
+    (target.startsWith(`${parentTarget}/`) ||
+    target.startsWith(`${parentTarget}?`)));
+}
+
+function _checkDelegation({delegation}) {
+  const policy = config['profile-http'].delegationPolicy;
+  const {zcap, controller} = delegation;
+
+  // controllers
+  const controllers = Array.isArray(controller) ? controller : [controller];
+  for(const controller of controllers) {
+    if(controllerRules.matches({rules: policy.denyControllers, controller})) {
+      return {
+        reason: 'controllerDenied',
+        message: `Controller "${controller}" is denied.`
+      };
+    }
+    if(policy.allowControllers.length > 0 &&
+      !controllerRules.matches({rules: policy.allowControllers, controller})) {
+      return {
+        reason: 'controllerNotAllowed',
+        message: `Controller "${controller}" is not allowed.`
+      };
+    }
+  }
+
+  // actions must be allowed by the parent zcap and the policy
+  const parentActions = getAllowedActions({delegation: {zcap}});
+  const actions = getAllowedActions({delegation});
+  if(delegation.allowedAction !== undefined && parentActions &&
+    !actions.every(action => parentActions.includes(action))) {
+    return {
+      reason: 'actionNotAttenuated',
+      message: 'Allowed actions must be a subset of the parent zcap\'s ' +
+        'allowed actions.'
+    };
+  }
+  if(policy.allowedActions.length > 0 && !(actions &&
+    actions.every(action => policy.allowedActions.includes(action)))) {
+    return {
+      reason: 'actionNotAllowed',
+      message: 'Only these actions may be delegated: ' +
+        `${policy.allowedActions.join(', ')}.`
+    };
+  }
+
+  // invocation target must be the parent's or narrower
+  const parentTarget = getInvocationTarget({zcap});
+  const target = delegation.invocationTarget ?? parentTarget;
+  if(!isWithinInvocationTarget({target, parentTarget})) {
+    return {
+      reason: 'invocationTargetNotAttenuated',
+      message: 'The invocation target must be the parent zcap\'s ' +
+        'invocation target or narrower.'
+    };
+  }
+  if(policy.requireNarrowerInvocationTarget && target === parentTarget) {
+    return {
+      reason: 'invocationTargetNotNarrower',
+      message: 'The invocation target must be narrower than the parent ' +
+        'zcap\'s invocation target.'
+    };
+  }
+}
+
+async function _checkControllers({delegation}) {
+  const {unresolvedControllers} = config['profile-http'].delegationPolicy;
+  const {controller} = delegation;
+  const controllers = Array.isArray(controller) ? controller : [controller];
+  for(const controller of controllers) {
+    if(controllerRules.matches({rules: unresolvedControllers, controller})) {
+      continue;
+    }
+    let didDocument;
+    try {
+      didDocument = await didIo.get({url: controller.split('#')[0]});
+    } catch(e) {
+      return {
+        reason: 'controllerNotResolved',
+        message: `Controller "${controller}" could not be resolved.`
+      };
+    }
+    if(!_canInvoke({didDocument, controller})) {
+      return {
+        reason: 'controllerCannotInvoke',
+        message: `Controller "${controller}" has no capability invocation ` +
+          'verification method.'
+      };
+    }
+  }
+}
+
+// returns whether a DID document has a `capabilityInvocation` verification
+// method; if the controller is a verification method, it must be one
+function _canInvoke({didDocument, controller}) {
+  const methods = (didDocument.capabilityInvocation ?? [])
+    .map(method => typeof method === 'string' ? method : method.id)
+    .map(id => id.startsWith('#') ? `${didDocument.id}${id}` : id);
+  if(!controller.includes('#')) {
+    return methods.length > 0;
+  }
+  return methods.includes(controller);
+}
@@ -0,0 +1,214 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {httpsAgent} from '@bedrock/https-agent';
+import {randomUUID} from 'node:crypto';
+import {ZcapClient} from '@digitalbazaar/ezcap';
+import {constants as zcapConstants} from '@digitalbazaar/zcap';
+
+const {util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'profile-http-delegation';
+const {ZCAP_ROOT_PREFIX} = zcapConstants;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'delegation.id': 1},
+    options: {unique: true, background: false}
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {'delegation.profileAgent': 1, 'delegation.created': 1},
+    options: {unique: false, background: false}
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {'delegation.zcap': 1},
+    options: {unique: false, background: false}
+  }]);
+});
+
+/**
+ * Records zcaps delegated by a profile agent so that they can be listed and
+ * revoked later.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileAgent - The ID of the delegating profile
+ *   agent.
+ * @param {Array<object>} options.zcaps - The delegated zcaps.
+ *
+ * @returns {Promise<Array>} Resolves to the recorded delegations.
+ */
+export async function record({profileAgent, zcaps} = {}) {
+  const now = Date.now();
+  const records = zcaps.map(zcap => ({
+    meta: {created: now, updated: now},
+    delegation: {
+      id: randomUUID(),
+      profileAgent,
+      zcap: zcap.id,
+      controller: zcap.controller,
+      invocationTarget: zcap.invocationTarget,
+      allowedAction: zcap.allowedAction,
+      expires: zcap.expires,
+      status: 'active',
+      created: now,
+      updated: now
+    },
+    // the full zcap is kept to submit it for revocation
+    zcap
+  }));
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.insertMany(records);
+  return records.map(({delegation}) => ({...delegation}));
+}
+
+/**
+ * Gets the delegations of a profile agent, oldest first.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileAgent - The ID of the profile agent.
+ * @param {string} [options.status] - Only get delegations with this status:
+ *   `active` or `revoked`.
+ *
+ * @returns {Promise<Array>} Resolves to the delegations.
+ */
+export async function getAll({profileAgent, status} = {}) {
+  const query = {'delegation.profileAgent': profileAgent};
+  if(status !== undefined) {
+    query['delegation.status'] = status;
+  }
+  const collection = database.collections[COLLECTION_NAME];
+  const records = await collection.find(
+    query, {projection: {_id: 0, delegation: 1}})
+    .sort({'delegation.created': 1})
+    .toArray();
+  return records.map(({delegation}) => delegation);
+}
+
+/**
+ * Gets which of the given zcaps have revoked delegations.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<string>} options.zcaps - The IDs of the zcaps.
+ *
+ * @returns {Promise<Set<string>>} Resolves to the IDs of the revoked zcaps.
+ */
+export async function getRevoked({zcaps} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const records = await collection.find({
+    'delegation.zcap': {$in: zcaps},
+    'delegation.status': 'revoked'
+  }, {projection: {_id: 0, 'delegation.zcap': 1}}).toArray();
+  return new Set(records.map(({delegation}) => delegation.zcap));
+}
+
+/**
+ * Revokes a delegated zcap by submitting it to the revocation endpoint of
+ * the service that hosts its invocation target, then marks its delegation
+ * revoked.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the delegation.
+ * @param {string} options.profileAgent - The ID of the delegating profile
+ *   agent.
+ * @param {object} options.invocationSigner - The delegating profile agent's
+ *   signer, used to invoke the revocation endpoint.
+ * @param {string} options.account - The ID of the revoking account.
+ *
+ * @returns {Promise<object>} Resolves to the revoked delegation.
+ */
+export async function revoke({
+  id, profileAgent, invocationSigner, account
+} = {}) {
+  const query = {'delegation.id': id, 'delegation.profileAgent': profileAgent};
+  const collection = database.collections[COLLECTION_NAME];
+  const record = await collection.findOne(query, {projection: {_id: 0}});
+  if(!record) {
+    throw new BedrockError(
+      'Delegation not found.',
+      'NotFoundError', {
+        delegation: id,
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  if(record.delegation.status !== 'active') {
+    throw new BedrockError(
+      `Delegation is "${record.delegation.status}".`,
+      'InvalidStateError', {
+        delegation: id,
+        status: record.delegation.status,
+        httpStatusCode: 409,
+        public: true
+      });
+  }
+
+  await _submitRevocation({zcap: record.zcap, invocationSigner});
+
+  const now = Date.now();
+  const result = await collection.findOneAndUpdate(
+    {...query, 'delegation.status': 'active'}, {
+      $set: {
+        'meta.updated': now,
+        'delegation.updated': now,
+        'delegation.status': 'revoked',
+        'delegation.revoked': now,
+        'delegation.revokedBy': account
+      }
+    }, {
+      projection: {_id: 0, delegation: 1},
+      returnDocument: 'after'
+    });
+  if(result.value) {
+    return result.value.delegation;
+  }
+  // revoked concurrently
+  const {delegation} = await collection.findOne(
+    query, {projection: {_id: 0, delegation: 1}});
+  return delegation;
+}
+
+// submits a zcap to the revocation endpoint of the service object whose
+// root zcap the zcap was delegated from, e.g. an EDV or WebKMS keystore
+async function _submitRevocation({zcap, invocationSigner}) {
+  const [rootCapability] = zcap.proof?.capabilityChain ?? [];
+  if(!(typeof rootCapability === 'string' &&
+    rootCapability.startsWith(ZCAP_ROOT_PREFIX))) {
+    throw new BedrockError(
+      'The delegated zcap\'s root capability is unknown.',
+      'DataError', {
+        zcap: zcap.id,
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+  const serviceObjectId = decodeURIComponent(
+    rootCapability.slice(ZCAP_ROOT_PREFIX.length));
+  const url = `${serviceObjectId}/zcaps/revocations/` +
+    encodeURIComponent(zcap.id);
+  const zcapClient = new ZcapClient({
+    agent: httpsAgent,
+    invocationSigner,
+    SuiteClass: Ed25519Signature2020
+  });
+  try {
+    await zcapClient.write({url, json: zcap});
+  } catch(e) {
+    // zcap already revoked
+    if(e.status === 409) {
+      return;
+    }
+    throw new BedrockError(
+      'The delegated zcap could not be revoked.',
+      'OperationError', {
+        zcap: zcap.id,
+        httpStatusCode: 502,
+        public: true
+      }, e);
+  }
+}
@@ -2,20 +2,45 @@
  * Copyright (c) 2020-2022 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as delegationPolicy from './delegationPolicy.js';
+import * as delegations from './delegations.js';
+import * as idempotency from './idempotency.js';
+import * as invitations from './invitations.js';
+import * as meterCleanup from './meterCleanup.js';
+import * as profileAgentDeletion from './profileAgentDeletion.js';
+import * as profileAgentQuery from './profileAgentQuery.js';
+import * as profileAgentStatus from './profileAgentStatus.js';
+import * as provisioningJobs from './provisioningJobs.js';
+import * as quotas from './quotas.js';
+import * as roles from './roles.js';
 import * as schemas from '../schemas/bedrock-profile-http.js';
+import * as tokenRedemption from './tokenRedemption.js';
+import * as transfers from './transfers.js';
+import * as zcapExpiry from './zcapExpiry.js';
+import * as zcapVerification from './zcapVerification.js';
 import {profileAgents, profileMeters, profiles} from '@bedrock/profile';
 import {asyncHandler} from '@bedrock/express';
 import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {EdvClient} from '@digitalbazaar/edv-client';
 import {ensureAuthenticated} from '@bedrock/passport';
 import {getAppIdentity} from '@bedrock/app-identity';
 import {httpsAgent} from '@bedrock/https-agent';
+import {KmsClient} from '@digitalbazaar/webkms-client';
+import {logger} from './logger.js';
 import {createValidateMiddleware as validate} from '@bedrock/validation';
 import {ZcapClient} from '@digitalbazaar/ezcap';
 
 const {config, util: {BedrockError}} = bedrock;
 
+// zcaps of the inviting profile agent that are delegated to an invited one
+const INVITED_PROFILE_AGENT_ZCAPS = [
+  'profileCapabilityInvocationKey', 'userDocument', 'user-edv-kak'
+];
+
 let APP_ID;
 let EDV_METER_CREATION_ZCAP;
+let METER_CLEANUP_TIMER;
 let WEBKMS_METER_CREATION_ZCAP;
 let ZCAP_CLIENT;
 
@@ -40,83 +65,399 @@ bedrock.events.on('bedrock.init', () => {
   }
 });
 
+bedrock.events.on('bedrock.ready', () => {
+  const {sweepInterval} = config['profile-http'].meterCleanup;
+  METER_CLEANUP_TIMER = setInterval(() => {
+    _retryMeterCleanup().catch(error => logger.error(
+      'Could not retry removing meters.', {error}));
+  }, sweepInterval);
+  METER_CLEANUP_TIMER.unref();
+});
+
+bedrock.events.on('bedrock.stop', () => {
+  clearInterval(METER_CLEANUP_TIMER);
+});
+
 bedrock.events.on('bedrock-express.configure.routes', app => {
   const cfg = config['profile-http'];
-  const {defaultProducts} = cfg;
   const {basePath} = cfg.routes;
   const profileAgentsPath = '/profile-agents';
   const profileAgentPath = `${profileAgentsPath}/:profileAgentId`;
   const routes = {
     profiles: basePath,
+    profile: `${basePath}/:profileId`,
+    profileProvisioningJob: `${basePath}/jobs/:jobId`,
+    profileInvitations: `${basePath}/:profileId/invitations`,
+    profileInvitation: `${basePath}/:profileId/invitations/:invitationId`,
+    profileInvitationAccept:
+      `${basePath}/:profileId/invitations/:invitationId/accept`,
     profileAgents: `${profileAgentsPath}`,
     profileAgent: `${profileAgentPath}`,
     profileAgentClaim: `${profileAgentPath}/claim`,
+    profileAgentRedeem: `${profileAgentPath}/redeem`,
+    profileAgentRole: `${profileAgentPath}/role`,
+    profileAgentSuspend: `${profileAgentPath}/suspend`,
+    profileAgentResume: `${profileAgentPath}/resume`,
+    profileAgentRestore: `${profileAgentPath}/restore`,
+    profileAgentTransfers: `${profileAgentPath}/transfers`,
+    profileAgentTransferAccept:
+      `${profileAgentPath}/transfers/:transferId/accept`,
+    profileAgentTransferCancel:
+      `${profileAgentPath}/transfers/:transferId/cancel`,
     profileAgentCapabilities: `${profileAgentPath}/capabilities/delegate`,
-    profileAgentCapabilitySet: `${profileAgentPath}/capability-set`
+    profileAgentDelegations: `${profileAgentPath}/delegations`,
+    profileAgentDelegationRevoke:
+      `${profileAgentPath}/delegations/:delegationId/revoke`,
+    profileAgentCapabilitySet: `${profileAgentPath}/capability-set`,
+    profileAgentCapabilitySetExpiring:
+      `${profileAgentPath}/capability-set/expiring`,
+    profileAgentCapabilitySetRefresh:
+      `${profileAgentPath}/capability-set/refresh`
   };
 
   // create a new profile
   app.post(
     routes.profiles,
     ensureAuthenticated,
-    validate({bodySchema: schemas.accountQuery}),
+    validate({bodySchema: schemas.createProfile}),
+    asyncHandler(_handleIdempotencyKey),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account, didMethod, didOptions, products = {}} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const edvProductId = _getProductId(
+        {account, serviceType: 'edv', productId: products.edv});
+      const webKmsProductId = _getProductId(
+        {account, serviceType: 'webkms', productId: products.webkms});
+      // a new profile includes a new profile agent for the account
+      await quotas.assertProfileQuota({account});
+      await quotas.assertProfileAgentQuota({account});
+
+      // provision profile in the background if the client prefers it
+      if(_prefersRespondAsync(req)) {
+        const job = await provisioningJobs.create({account});
+        // note: not awaited; the job records its own progress and any error
+        _runProvisioningJob({
+          job, account, didMethod, didOptions, edvProductId, webKmsProductId
+        });
+        const location =
+          `${config.server.baseUri}${basePath}/jobs/${job.id}`;
+        return res.status(202).location(location).json(job);
+      }
+
+      const profile = await _provisionProfile({
+        account, didMethod, didOptions, edvProductId, webKmsProductId
+      });
+      res.json(profile);
+    }));
+
+  // gets a profile provisioning job by its "id"
+  app.get(
+    routes.profileProvisioningJob,
+    ensureAuthenticated,
+    validate({querySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.query;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {jobId} = req.params;
+      const job = await provisioningJobs.get({id: jobId, account});
+      res.json(job);
+    }));
+
+  // gets all profiles associated with an account
+  app.get(
+    routes.profiles,
+    ensureAuthenticated,
+    validate({querySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.query;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const profileAgentRecords = (await profileAgents.getAll({
+        accountId: account
+      })).filter(record => !profileAgentDeletion.isDeleted(record));
+
+      // group the account's profile agents by profile
+      const profilesMap = new Map();
+      for(const {meta, profileAgent} of profileAgentRecords) {
+        const {profile: id} = profileAgent;
+        let profile = profilesMap.get(id);
+        if(!profile) {
+          profile = {id, meta: {created: meta.created}, profileAgentCount: 0};
+          profilesMap.set(id, profile);
+        }
+        profile.profileAgentCount++;
+        // a profile was created when its oldest profile agent was created
+        if(meta.created < profile.meta.created) {
+          profile.meta.created = meta.created;
+        }
+      }
+
+      const promises = [...profilesMap.values()].map(async profile => {
+        const {meters} = await profileMeters.findByProfile({
+          profileId: profile.id
+        });
+        return {...profile, profileMeters: meters};
+      });
+
+      // No concurrency protection due to the assumption that for a given
+      // account there will be <= 10 profiles
+      const records = await Promise.all(promises);
+      res.json(records);
+    }));
+
+  // gets a profile by its "id"
+  app.get(
+    routes.profile,
+    ensureAuthenticated,
+    validate({querySchema: schemas.accountQuery}),
     asyncHandler(async (req, res) => {
       const {id: accountId} = req.user.account || {};
-      const {account, didMethod, didOptions} = req.body;
+      const {account} = req.query;
       if(!accountId || account !== accountId) {
         throw new BedrockError(
           'The "account" is not authorized.',
           'NotAllowedError',
           {httpStatusCode: 403, public: true});
       }
+      const {profileId} = req.params;
+      // session account must hold a profile agent for the profile
+      const profileAgentRecord = await _getProfileAgentRecordByProfile(
+        {accountId, profileId, includeSecrets: true});
 
-      // create a new meter, edv options, and keystore options
-      const [{id: edvMeterId}, {id: kmsMeterId}] = await Promise.all([
-        _createMeter({
-          // controller of meter is the app that runs bedrock-profile-http
-          controller: APP_ID,
-          // use default EDV product; specifying in request not supported
-          productId: defaultProducts.edv,
-          // use zcap for edv meter creation; when undefined invoke root zcap
-          capability: EDV_METER_CREATION_ZCAP,
-        }),
-        _createMeter({
-          // controller of meter is the app that runs bedrock-profile-http
-          controller: APP_ID,
-          // use default webkms product; specifying in request not supported
-          productId: defaultProducts.webkms,
-          // use zcap for webkms meter creation; when undefined invoke root zcap
-          capability: WEBKMS_METER_CREATION_ZCAP,
-        })
+      // the profile's EDVs and keystores are controlled by the profile, so
+      // reading their configs requires acting as the profile
+      const {profileAgent} = profileAgentRecord;
+      profileAgentStatus.assertActive({profileAgent});
+      const invocationSigner = await _getProfileSigner({profileAgentRecord});
+
+      const [edvs, keystores, {meters}] = await Promise.all([
+        _getProfileEdvs({profileId, invocationSigner}),
+        _getProfileKeystores({profileAgent, invocationSigner}),
+        profileMeters.findByProfile({profileId})
       ]);
-      const edvOptions = {
-        baseUrl: cfg.edvBaseUrl,
-        meterId: edvMeterId,
-        meterCapabilityInvocationSigner: ZCAP_CLIENT.invocationSigner
-      };
-      // add any additionally configured EDVs
-      if(cfg.additionalEdvs) {
-        edvOptions.additionalEdvs = Object.values(cfg.additionalEdvs);
+
+      res.json({id: profileId, edvs, keystores, profileMeters: meters});
+    }));
+
+  // deletes a profile by its "id", removing its meters and profile agents
+  app.delete(
+    routes.profile,
+    ensureAuthenticated,
+    validate({querySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.query;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
       }
-      const keystoreOptions = {
-        meterId: kmsMeterId,
-        meterCapabilityInvocationSigner: ZCAP_CLIENT.invocationSigner
+      const {profileId} = req.params;
+      // session account must hold an owner profile agent for the profile
+      const profileAgentRecord = await _getProfileAgentRecordByProfile(
+        {accountId, profileId, includeSecrets: true});
+      roles.assertRole(
+        {profileAgent: profileAgentRecord.profileAgent, roles: ['owner']});
+      profileAgentStatus.assertActive(
+        {profileAgent: profileAgentRecord.profileAgent});
+
+      // meters are controlled by the profile once it has been provisioned
+      const invocationSigner = await _getProfileSigner({profileAgentRecord});
+
+      const report = {
+        id: profileId,
+        meters: {removed: [], failed: []},
+        profileAgents: {removed: [], failed: []}
       };
 
-      const profile = await profiles.create({
-        accountId: account,
-        didMethod,
-        keystoreOptions: {
-          profileAgent: keystoreOptions,
-          profile: keystoreOptions
-        },
-        edvOptions: {
-          profile: edvOptions
-        },
-        didOptions
+      // remove meters from the meter service and the profile's meter records
+      const {meters} = await profileMeters.findByProfile({profileId});
+      await Promise.all(meters.map(async ({meter}) => {
+        const {id} = meter;
+        try {
+          // the application controls the meters of profile agents that were
+          // added to the profile after it was provisioned
+          await _removeMeter({
+            id,
+            invocationSigner: meterCleanup.isProfileAgentMeter({meter}) ?
+              undefined : invocationSigner
+          });
+          await profileMeters.remove({id});
+          report.meters.removed.push(id);
+        } catch(e) {
+          logger.error(`Could not remove meter "${id}".`, {error: e});
+          report.meters.failed.push({id, error: _serializeError(e)});
+        }
+      }));
+
+      // remove every profile agent for the profile, retaining the session
+      // account's profile agent if any meter could not be removed so that
+      // the deletion can be retried
+      const {profileAgent: {id: sessionProfileAgentId}} = profileAgentRecord;
+      const retainSessionProfileAgent = report.meters.failed.length > 0;
+      const profileAgentIds = await _getProfileAgentIdsByProfile({profileId});
+      await Promise.all(profileAgentIds.map(async id => {
+        if(id === sessionProfileAgentId && retainSessionProfileAgent) {
+          return;
+        }
+        try {
+          await profileAgents.remove({id});
+          report.profileAgents.removed.push(id);
+        } catch(e) {
+          // profile agent already removed by a concurrent process
+          if(e.name === 'NotFoundError') {
+            return;
+          }
+          logger.error(`Could not remove profile agent "${id}".`, {error: e});
+          report.profileAgents.failed.push({id, error: _serializeError(e)});
+        }
+      }));
+
+      res.json(report);
+    }));
+
+  // invites another account to a profile
+  app.post(
+    routes.profileInvitations,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.invitation}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account, invitee, role = 'member'} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileId} = req.params;
+      // session account must hold a profile agent for the profile that may
+      // grant the invitation's role
+      const {profileAgent} = await _getProfileAgentRecordByProfile(
+        {accountId, profileId});
+      profileAgentStatus.assertActive({profileAgent});
+      roles.assertCanManage({profileAgent, roles: [role]});
+
+      const invitation = await invitations.create({
+        profile: profileId,
+        account: invitee,
+        role,
+        inviter: {account, profileAgent: profileAgent.id}
       });
+      res.status(201).json(invitation);
+    }));
 
-      res.json(profile);
+  // gets all unexpired invitations to a profile
+  app.get(
+    routes.profileInvitations,
+    ensureAuthenticated,
+    validate({querySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.query;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileId} = req.params;
+      // session account must hold a profile agent for the profile that may
+      // manage other profile agents
+      const {profileAgent} = await _getProfileAgentRecordByProfile(
+        {accountId, profileId});
+      profileAgentStatus.assertActive({profileAgent});
+      roles.assertRole({profileAgent, roles: roles.MANAGER_ROLES});
+
+      res.json(await invitations.getAll({profile: profileId}));
+    }));
+
+  // revokes a pending invitation to a profile
+  app.delete(
+    routes.profileInvitation,
+    ensureAuthenticated,
+    validate({querySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.query;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileId, invitationId} = req.params;
+      // session account must hold a profile agent for the profile that may
+      // manage other profile agents
+      const {profileAgent} = await _getProfileAgentRecordByProfile(
+        {accountId, profileId});
+      profileAgentStatus.assertActive({profileAgent});
+      roles.assertRole({profileAgent, roles: roles.MANAGER_ROLES});
+
+      await invitations.revoke({id: invitationId, profile: profileId});
+      res.status(204).end();
+    }));
+
+  // accepts an invitation to a profile, creating a profile agent for the
+  // invited account
+  app.post(
+    routes.profileInvitationAccept,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileId, invitationId} = req.params;
+      const invitation = await invitations.beginAccept(
+        {id: invitationId, profile: profileId, account});
+
+      let profileAgentRecord;
+      try {
+        await quotas.assertProfileQuota({account, profileId});
+        await quotas.assertProfileAgentQuota({account});
+        profileAgentRecord = await _createInvitedProfileAgent({invitation});
+      } catch(e) {
+        try {
+          await invitations.abortAccept(
+            {id: invitationId, profile: profileId});
+        } catch(abortError) {
+          // an invitation that has expired since it was begun is not found
+          if(abortError.name !== 'NotFoundError') {
+            throw abortError;
+          }
+        }
+        throw e;
+      }
+
+      const {meters} = await profileMeters.findByProfile({profileId});
+      res.json({
+        ..._sanitizeProfileAgentRecord(profileAgentRecord),
+        profileMeters: meters
+      });
     }));
 
   // creates a profile agent, optionally w/ account set
@@ -124,9 +465,10 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
     routes.profileAgents,
     ensureAuthenticated,
     validate({bodySchema: schemas.profileAgent}),
+    asyncHandler(_handleIdempotencyKey),
     asyncHandler(async (req, res) => {
       const {id: accountId} = req.user.account || {};
-      const {account, profile, token} = req.body;
+      const {account, profile, token, products = {}} = req.body;
 
       if(!accountId || (account && account !== accountId)) {
         throw new BedrockError(
@@ -134,34 +476,19 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
           'NotAllowedError',
           {httpStatusCode: 403, public: true});
       }
-
-      // create a new meter and keystore options
-      const {id: meterId} = await _createMeter({
-        // controller of meter is app that runs bedrock-profile-http
-        controller: APP_ID,
-        // use default webkms product; specifying in request not supported
-        productId: defaultProducts.webkms,
-        // use zcap for webkms meter creation; when undefined invoke root zcap
-        capability: WEBKMS_METER_CREATION_ZCAP,
+      // products are allowed based on the session account as the profile
+      // agent may not be claimed yet
+      const webKmsProductId = _getProductId({
+        account: accountId, serviceType: 'webkms', productId: products.webkms
       });
-      const keystoreOptions = {
-        meterId,
-        meterCapabilityInvocationSigner: ZCAP_CLIENT.invocationSigner
-      };
-
-      const options = {
-        profileId: profile,
-        keystoreOptions,
-        store: true
-      };
       if(account) {
-        options.accountId = account;
-      }
-      if(token) {
-        options.token = token;
+        await quotas.assertProfileAgentQuota({account});
       }
 
-      const profileAgentRecord = await profileAgents.create(options);
+      const {profileAgentRecord} = await _createProfileAgent({
+        profileId: profile, accountId: account, token, webKmsProductId,
+        role: 'member'
+      });
       const {meters} = await profileMeters.findByProfile({
         profileId: profile
       });
@@ -179,48 +506,65 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
     validate({querySchema: schemas.profileAgents}),
     asyncHandler(async (req, res) => {
       const {id: accountId} = req.user.account || {};
-      const {account, profile} = req.query;
+      const {account, profile, ...queryOptions} = req.query;
       if(!accountId || account !== accountId) {
         throw new BedrockError(
           'The "account" is not authorized.',
           'NotAllowedError',
           {httpStatusCode: 403, public: true});
       }
-      const profileAgentRecords = await profileAgents.getAll({
-        accountId: account
-      });
-      if(profile) {
-        const {meters} = await profileMeters.findByProfile({
-          profileId: profile
-        });
-        // Note: In the next major release, this API should not repeat the same
-        //       set of meters for each profile.
-        const records = profileAgentRecords.filter(({profileAgent}) => {
-          return profileAgent.profile === profile;
-        }).map(r => ({...r, profileMeters: meters}));
-        return res.json(records);
-      }
-
-      const profileMetersMap = new Map();
-      const promises = profileAgentRecords.map(async record => {
-        const {profile} = record.profileAgent;
-        let promise = profileMetersMap.get(profile);
-        if(!promise) {
-          promise = profileMeters.findByProfile({profileId: profile});
-          profileMetersMap.set(profile, promise);
+
+      const version = _getProfileAgentsApiVersion(req);
+
+      let records;
+      if(Object.keys(queryOptions).length > 0) {
+        // page through a storage query if any pagination, filter, or sort
+        // options are given
+        const {claimed, createdAfter, sort, after} = queryOptions;
+        const {defaultLimit, maxLimit} = cfg.profileAgents.pagination;
+        const limit = Math.min(
+          maxLimit, parseInt(queryOptions.limit, 10) || defaultLimit);
+        let cursor;
+        ({records, cursor} = await profileAgentQuery.find({
+          account, profile,
+          claimed: claimed !== 'false',
+          createdAfter: createdAfter && Date.parse(createdAfter),
+          sort, limit, after
+        }));
+        if(cursor) {
+          const query = new URLSearchParams({...req.query, after: cursor});
+          res.links({
+            next: `${config.server.baseUri}${routes.profileAgents}?${query}`
+          });
         }
+      } else {
+        records = (await profileAgents.getAll({accountId: account}))
+          .filter(record => !profileAgentDeletion.isDeleted(record));
+        if(profile) {
+          records = records.filter(({profileAgent}) => {
+            return profileAgent.profile === profile;
+          });
+        }
+      }
 
-        const {meters} = await promise;
-        return {
-          ...record,
-          profileMeters: meters
-        };
-      });
+      records = records.map(_sanitizeProfileAgentRecord);
+
+      // version 2 returns the meters for each profile only once
+      res.vary('Accept-Version');
+      if(version === 2) {
+        const profileMetersMap = await _getProfileMetersMap({records});
+        return res.json({
+          profileAgents: records,
+          profileMeters: Object.fromEntries(profileMetersMap)
+        });
+      }
 
+      // Note: In the next major release, version 2 of this API, which does
+      //       not repeat the same set of meters for each profile, should
+      //       become the default.
       // No concurrency protection due to the assumption that for a given
       // aaccount there will be <= 10 profiles
-      const records = await Promise.all(promises);
-      res.json(records);
+      res.json(await _addProfileMeters({records}));
     }));
 
   // gets a profile agent by its "id"
@@ -238,7 +582,8 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
           {httpStatusCode: 403, public: true});
       }
       const {profileAgentId} = req.params;
-      const profileAgentRecord = await profileAgents.get({id: profileAgentId});
+      const profileAgentRecord = await _getProfileAgentRecord(
+        {id: profileAgentId});
 
       // if profile agent is claimed (has an `account`), ensure profile agent
       // `account` matches session account
@@ -253,10 +598,15 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       const {profile} = profileAgent;
       const {meters} = await profileMeters.findByProfile({profileId: profile});
 
-      res.json({...profileAgentRecord, profileMeters: meters});
+      res.set('ETag', _getSequenceETag({profileAgent}));
+      res.json({
+        ..._sanitizeProfileAgentRecord(profileAgentRecord),
+        profileMeters: meters
+      });
     }));
 
-  // deletes a profile agent by its "id"
+  // deletes a profile agent by its "id"; it may be restored until the
+  // configured retention period has passed
   app.delete(
     routes.profileAgent,
     ensureAuthenticated,
@@ -271,8 +621,11 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
           {httpStatusCode: 403, public: true});
       }
       const {profileAgentId} = req.params;
-      // require `account` to also match the profile agent
-      await profileAgents.remove({id: profileAgentId, account});
+      const {profileAgent} = await _getProfileAgentRecord({id: profileAgentId});
+      await _assertCanManageProfileAgent({accountId, profileAgent});
+
+      // the profile agent is removed once the restore window has passed
+      await profileAgentDeletion.markDeleted({profileAgentId, account});
       res.status(204).end();
     }));
 
@@ -292,7 +645,7 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
           });
       }
       const {profileAgentId} = req.params;
-      const profileAgentRecord = await profileAgents.get(
+      const profileAgentRecord = await _getProfileAgentRecord(
         {id: profileAgentId, includeSecrets: true});
 
       const {profileAgent} = profileAgentRecord;
@@ -310,6 +663,9 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
             public: true,
           });
       }
+      await quotas.assertProfileQuota(
+        {account, profileId: profileAgent.profile});
+      await quotas.assertProfileAgentQuota({account});
 
       await profileAgents.update({
         profileAgent: {
@@ -321,62 +677,98 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       res.status(204).end();
     }));
 
-  // delegates profile agent's zCaps to a specified "controller"
+  // claims a token-bound profile agent using an account and its token
   app.post(
-    routes.profileAgentCapabilities,
+    routes.profileAgentRedeem,
     ensureAuthenticated,
-    validate({bodySchema: schemas.delegateCapability}),
+    validate({bodySchema: schemas.redeemProfileAgent}),
     asyncHandler(async (req, res) => {
       const {id: accountId} = req.user.account || {};
-      const {account, controller, zcap} = req.body;
-
-      // ensure requested account matches session account
+      const {account, token} = req.body;
       if(!accountId || account !== accountId) {
         throw new BedrockError(
-          'The "account" is not authorized.',
-          'NotAllowedError',
-          {httpStatusCode: 403, public: true});
+          'The account must match the authenticated user.', 'NotAllowedError', {
+            httpStatusCode: 400,
+            public: true,
+          });
       }
-
       const {profileAgentId} = req.params;
-      const {profileAgent, secrets} = await profileAgents.get(
+      try {
+        await tokenRedemption.assertNotRateLimited({profileAgentId});
+      } catch(e) {
+        res.set('Retry-After', String(e.details.retryAfter));
+        throw e;
+      }
+
+      const profileAgentRecord = await _getProfileAgentRecord(
         {id: profileAgentId, includeSecrets: true});
+      const {profileAgent} = profileAgentRecord;
 
-      // ensure profile agent `account` matches session account
-      if(profileAgent.account !== accountId) {
+      // cannot redeem a profile agent that has a different account
+      if(profileAgent.account && profileAgent.account !== account) {
+        throw new BedrockError(
+          'Profile agent cannot be redeemed.', 'NotAllowedError', {
+            httpStatusCode: 400,
+            public: true,
+          });
+      }
+      if(!tokenRedemption.verifyToken({profileAgentRecord, token})) {
+        await tokenRedemption.addFailedAttempt({profileAgentId});
+        throw new BedrockError(
+          'Profile agent cannot be redeemed.', 'NotAllowedError', {
+            httpStatusCode: 400,
+            public: true,
+          });
+      }
+
+      await quotas.assertProfileQuota(
+        {account, profileId: profileAgent.profile});
+      await quotas.assertProfileAgentQuota({account});
+
+      await tokenRedemption.claim({profileAgentRecord, account});
+      res.status(204).end();
+    }));
+
+  // sets the role of a profile agent
+  app.post(
+    routes.profileAgentRole,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.profileAgentRole}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account, role} = req.body;
+      if(!accountId || account !== accountId) {
         throw new BedrockError(
           'The "account" is not authorized.',
           'NotAllowedError',
           {httpStatusCode: 403, public: true});
       }
+      const {profileAgentId} = req.params;
+      const {profileAgent} = await _getProfileAgentRecord({id: profileAgentId});
 
-      // determine `expires` for delegated zcap
-      const now = Date.now();
-      const ttl = config['profile-http'].zcap.ttl;
-      const preferredExpires = new Date(now + ttl);
-      let expires;
-      if(!zcap.expires) {
-        expires = preferredExpires.toISOString();
-      } else {
-        const maxExpires = new Date(zcap.expires);
-        expires = maxExpires < preferredExpires ?
-          maxExpires.toISOString() : preferredExpires.toISOString();
-      }
+      // session account must hold a profile agent for the same profile that
+      // may manage the profile agent's current and new roles
+      const {profileAgent: managingProfileAgent} =
+        await _getProfileAgentRecordByProfile(
+          {accountId, profileId: profileAgent.profile});
+      profileAgentStatus.assertActive({profileAgent: managingProfileAgent});
+      roles.assertCanManage({
+        profileAgent: managingProfileAgent,
+        roles: [roles.getRole({profileAgent}), role]
+      });
 
-      const [delegated] = await profileAgents.delegateCapabilities(
-        {profileAgent, capabilities: [zcap], controller, secrets, expires});
-      res.json({zcap: delegated});
+      await roles.setRole({profileAgentId, role});
+      res.status(204).end();
     }));
 
-  // update profile agent's zcaps (updates their capability set)
+  // starts transferring a claimed profile agent to another account
   app.post(
-    routes.profileAgentCapabilitySet,
+    routes.profileAgentTransfers,
     ensureAuthenticated,
-    validate({bodySchema: schemas.zcaps, querySchema: schemas.accountQuery}),
+    validate({bodySchema: schemas.transfer}),
     asyncHandler(async (req, res) => {
       const {id: accountId} = req.user.account || {};
-      const {account} = req.query;
-      const {zcaps} = req.body;
+      const {account, recipient} = req.body;
       if(!accountId || account !== accountId) {
         throw new BedrockError(
           'The "account" is not authorized.',
@@ -384,37 +776,1328 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
           {httpStatusCode: 403, public: true});
       }
       const {profileAgentId} = req.params;
-      const {profileAgent} = await profileAgents.get({id: profileAgentId});
+      const {profileAgent} = await _getProfileAgentRecord({id: profileAgentId});
 
-      // ensure profile agent `account` matches session account
+      // only the account that holds the profile agent may transfer it
       if(profileAgent.account !== accountId) {
         throw new BedrockError(
           'The "account" is not authorized.',
           'NotAllowedError',
           {httpStatusCode: 403, public: true});
       }
+      if(recipient === accountId) {
+        throw new BedrockError(
+          'A profile agent cannot be transferred to the account that holds ' +
+          'it.', 'DataError', {
+            httpStatusCode: 400,
+            public: true
+          });
+      }
 
-      profileAgent.sequence++;
-      // replace existing zcaps
-      profileAgent.zcaps = zcaps;
-
-      await profileAgents.update({profileAgent});
-
-      res.status(204).end();
+      const transfer = await transfers.create(
+        {profileAgent: profileAgentId, from: accountId, to: recipient});
+      logger.info('Profile agent transfer started.', {transfer});
+      res.status(201).json(transfer);
     }));
-});
 
-// return select properties in the profileAgent record which does NOT include
-// record.secrets
-function _sanitizeProfileAgentRecord(record) {
-  const {meta, profileAgent} = record;
-  const sanitizedRecord = {
-    meta,
-    profileAgent,
-  };
+  // gets all transfers of a profile agent the account is a party to
+  app.get(
+    routes.profileAgentTransfers,
+    ensureAuthenticated,
+    validate({querySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.query;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId} = req.params;
+      res.json(await transfers.getAll({profileAgent: profileAgentId, account}));
+    }));
+
+  // accepts a transfer of a profile agent to the account
+  app.post(
+    routes.profileAgentTransferAccept,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId, transferId} = req.params;
+      const transfer = await transfers.accept(
+        {id: transferId, profileAgent: profileAgentId, account});
+
+      try {
+        const {profileAgent} = await _getProfileAgentRecord(
+          {id: profileAgentId});
+        // the profile agent must still be held by the transferring account
+        if(profileAgent.account !== transfer.from) {
+          throw new BedrockError(
+            'The profile agent is no longer held by the transferring account.',
+            'InvalidStateError', {
+              transfer: transferId,
+              httpStatusCode: 409,
+              public: true
+            });
+        }
+        await quotas.assertProfileQuota(
+          {account, profileId: profileAgent.profile});
+        await quotas.assertProfileAgentQuota({account});
+
+        await profileAgents.update({
+          profileAgent: {
+            ...profileAgent,
+            sequence: ++profileAgent.sequence,
+            account
+          }
+        });
+      } catch(e) {
+        await transfers.abortAccept(
+          {id: transferId, profileAgent: profileAgentId});
+        throw e;
+      }
+      logger.info('Profile agent transfer accepted.', {transfer});
+      res.status(204).end();
+    }));
+
+  // cancels a pending transfer of a profile agent
+  app.post(
+    routes.profileAgentTransferCancel,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId, transferId} = req.params;
+      const transfer = await transfers.cancel(
+        {id: transferId, profileAgent: profileAgentId, account});
+      logger.info('Profile agent transfer cancelled.', {transfer});
+      res.status(204).end();
+    }));
+
+  // suspends a profile agent
+  app.post(
+    routes.profileAgentSuspend,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId} = req.params;
+      const {profileAgent} = await _getProfileAgentRecord({id: profileAgentId});
+      await _assertCanManageProfileAgent({accountId, profileAgent});
+
+      await profileAgentStatus.setStatus(
+        {profileAgentId, from: 'active', to: 'suspended', account});
+      res.status(204).end();
+    }));
+
+  // resumes a profile agent
+  app.post(
+    routes.profileAgentResume,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId} = req.params;
+      const {profileAgent} = await _getProfileAgentRecord({id: profileAgentId});
+      // a suspended profile agent cannot resume itself
+      await _assertCanManageProfileAgent(
+        {accountId, profileAgent, allowHolder: false});
+
+      await profileAgentStatus.setStatus(
+        {profileAgentId, from: 'suspended', to: 'active', account});
+      res.status(204).end();
+    }));
+
+  // restores a deleted profile agent
+  app.post(
+    routes.profileAgentRestore,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId} = req.params;
+      const {profileAgent} = await profileAgents.get({id: profileAgentId});
+      if(!profileAgentDeletion.isDeleted({profileAgent})) {
+        throw new BedrockError(
+          'The profile agent has not been deleted.',
+          'InvalidStateError', {
+            profileAgent: profileAgentId,
+            httpStatusCode: 409,
+            public: true
+          });
+      }
+      await _assertCanManageProfileAgent({accountId, profileAgent});
+
+      // deleted profile agents do not count toward quotas
+      if(profileAgent.account) {
+        await quotas.assertProfileQuota(
+          {account: profileAgent.account, profileId: profileAgent.profile});
+        await quotas.assertProfileAgentQuota({account: profileAgent.account});
+      }
+
+      await profileAgentDeletion.restore({profileAgentId});
+      res.status(204).end();
+    }));
+
+  // delegates profile agent's zCaps to a specified "controller"; a batch of
+  // zcaps may be delegated at once via `delegations`, each with its own
+  // options; every delegation must satisfy the delegation policy
+  app.post(
+    routes.profileAgentCapabilities,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.delegateCapability}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {
+        account, controller, zcap, expires, ttl, allowedAction,
+        invocationTarget, delegations
+      } = req.body;
+
+      // ensure requested account matches session account
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+
+      const {profileAgentId} = req.params;
+      const {profileAgent, secrets} = await _getProfileAgentRecord(
+        {id: profileAgentId, includeSecrets: true});
+
+      // ensure profile agent `account` matches session account
+      if(profileAgent.account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+
+      // prepare every delegation before delegating any of them so that
+      // nothing is delegated if any of them is invalid
+      // delegations default to the top-level options
+      const requests = zcap ?
+        [{zcap, controller, expires, ttl, allowedAction, invocationTarget}] :
+        delegations.map(delegation => {
+          const hasExpiry = delegation.expires !== undefined ||
+            delegation.ttl !== undefined;
+          return {
+            controller, ...(hasExpiry ? {} : {expires, ttl}), ...delegation
+          };
+        });
+      requests.forEach(({
+        controller, allowedAction, invocationTarget
+      }, index) => {
+        if(controller === undefined) {
+          throw new BedrockError(
+            `Delegation ${index} has no "controller".`,
+            'DataError', {
+              index,
+              httpStatusCode: 400,
+              public: true
+            });
+        }
+        const attenuated = allowedAction !== undefined ||
+          invocationTarget !== undefined;
+        if(attenuated && typeof controller !== 'string') {
+          throw new BedrockError(
+            `Delegation ${index} must have a single "controller" to ` +
+            'attenuate the delegated zcap.',
+            'DataError', {
+              index,
+              httpStatusCode: 400,
+              public: true
+            });
+        }
+      });
+      profileAgentStatus.assertActive({profileAgent});
+      // members may only delegate read-only zcaps, including zcaps attenuated
+      // to be read-only
+      roles.assertCanUseCapabilities({
+        profileAgent,
+        capabilities: requests.map(delegation => ({
+          ...delegation.zcap,
+          allowedAction: delegationPolicy.getAllowedActions({delegation})
+        }))
+      });
+      await delegationPolicy.check({profileAgent, delegations: requests});
+      const now = Date.now();
+      for(const request of requests) {
+        request.expires = zcapExpiry.getDelegatedZcapExpires(
+          {...request, now});
+      }
+
+      const delegated = await Promise.all(requests.map(
+        request => _delegateCapability({profileAgent, secrets, ...request})));
+      await delegations.record(
+        {profileAgent: profileAgentId, zcaps: delegated});
+      if(zcap) {
+        return res.json({zcap: delegated[0]});
+      }
+      res.json({zcaps: delegated});
+    }));
+
+  // gets the zcaps a profile agent has delegated via the delegate route
+  app.get(
+    routes.profileAgentDelegations,
+    ensureAuthenticated,
+    validate({querySchema: schemas.delegationsQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account, status} = req.query;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId} = req.params;
+      const {profileAgent} = await _getProfileAgentRecord({id: profileAgentId});
+
+      // ensure profile agent `account` matches session account
+      if(profileAgent.account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+
+      res.json(await delegations.getAll(
+        {profileAgent: profileAgentId, status}));
+    }));
+
+  // revokes a zcap a profile agent has delegated
+  app.post(
+    routes.profileAgentDelegationRevoke,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId, delegationId} = req.params;
+      const {profileAgent, secrets} = await _getProfileAgentRecord(
+        {id: profileAgentId, includeSecrets: true});
+
+      // ensure profile agent `account` matches session account
+      if(profileAgent.account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+
+      profileAgentStatus.assertActive({profileAgent});
+
+      // the delegating profile agent invokes the revocation
+      const {capabilityAgent} = await profileAgents.getAgents(
+        {profileAgent, secrets});
+      const delegation = await delegations.revoke({
+        id: delegationId, profileAgent: profileAgentId,
+        invocationSigner: capabilityAgent.getSigner(), account
+      });
+      res.json(delegation);
+    }));
+
+  // gets profile agent's zcaps (its capability set)
+  app.get(
+    routes.profileAgentCapabilitySet,
+    ensureAuthenticated,
+    validate({querySchema: schemas.capabilitySetQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account, invocationTarget, expiresWithin} = req.query;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId} = req.params;
+      const {profileAgent} = await _getProfileAgentRecord({id: profileAgentId});
+
+      // ensure profile agent `account` matches session account
+      if(profileAgent.account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+
+      const expiresBefore = expiresWithin === undefined ?
+        undefined : Date.now() + parseInt(expiresWithin, 10);
+      const zcaps = Object.fromEntries(Object.entries(profileAgent.zcaps || {})
+        .filter(([, zcap]) => {
+          if(invocationTarget !== undefined &&
+            !delegationPolicy.isWithinInvocationTarget({
+              target: delegationPolicy.getInvocationTarget({zcap}),
+              parentTarget: invocationTarget
+            })) {
+            return false;
+          }
+          // zcaps without `expires` never expire
+          return expiresBefore === undefined ||
+            (zcap.expires !== undefined &&
+            Date.parse(zcap.expires) <= expiresBefore);
+        }));
+
+      res.set('ETag', _getSequenceETag({profileAgent}));
+      res.json({sequence: profileAgent.sequence, zcaps});
+    }));
+
+  // reports zcaps in profile agent's capability set that expire soon and
+  // whether they can be refreshed
+  app.get(
+    routes.profileAgentCapabilitySetExpiring,
+    ensureAuthenticated,
+    validate({querySchema: schemas.expiringCapabilitiesQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account, within} = req.query;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId} = req.params;
+      const {profileAgent} = await _getProfileAgentRecord({id: profileAgentId});
+
+      // ensure profile agent `account` matches session account
+      if(profileAgent.account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+
+      const expiring = await _getExpiringCapabilities({
+        profileAgent,
+        within: within === undefined ? undefined : parseInt(within, 10)
+      });
+      res.json(expiring.map(({name, zcap, refreshable, reason}) => ({
+        name,
+        id: zcap.id,
+        invocationTarget: delegationPolicy.getInvocationTarget({zcap}),
+        expires: zcap.expires,
+        refreshable,
+        ...(reason ? {reason} : {})
+      })));
+    }));
+
+  // re-delegates zcaps in profile agent's capability set that expire soon
+  // from their parent zcaps with a new expiration
+  app.post(
+    routes.profileAgentCapabilitySetRefresh,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.refreshCapabilities}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account, within, names} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId} = req.params;
+      const {profileAgent} = await _getProfileAgentRecord({id: profileAgentId});
+
+      // ensure profile agent `account` matches session account
+      if(profileAgent.account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      profileAgentStatus.assertActive({profileAgent});
+
+      let expiring = await _getExpiringCapabilities({profileAgent, within});
+      if(names) {
+        expiring = expiring.filter(({name}) => names.includes(name));
+      }
+      const refreshed = [];
+      const failed = [];
+      const zcaps = {...profileAgent.zcaps};
+      for(const {name, zcap, refreshable, reason, parent} of expiring) {
+        if(!refreshable) {
+          failed.push({name, reason});
+          continue;
+        }
+        try {
+          zcaps[name] = await _refreshCapability(
+            {profileAgent, zcap, parent});
+          refreshed.push({name, expires: zcaps[name].expires});
+        } catch(e) {
+          if(e.name === 'NotAllowedError') {
+            failed.push({name, reason: 'delegationNotAllowed'});
+            continue;
+          }
+          logger.error('Could not refresh zcap.', {error: e});
+          failed.push({name, reason: 'delegationFailed'});
+        }
+      }
+
+      if(refreshed.length > 0) {
+        // `update` fails if the stored sequence has changed since it was read
+        profileAgent.sequence++;
+        profileAgent.zcaps = zcaps;
+        await profileAgents.update({profileAgent});
+        res.set('ETag', _getSequenceETag({profileAgent}));
+      }
+      res.json({refreshed, failed});
+    }));
+
+  // update profile agent's zcaps (updates their capability set)
+  app.post(
+    routes.profileAgentCapabilitySet,
+    ensureAuthenticated,
+    validate({bodySchema: schemas.zcaps, querySchema: schemas.accountQuery}),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.query;
+      const {zcaps} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId} = req.params;
+      const {profileAgent} = await _getProfileAgentRecord({id: profileAgentId});
+
+      // ensure profile agent `account` matches session account
+      if(profileAgent.account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+
+      _assertSequenceMatches({req, profileAgent});
+      profileAgentStatus.assertActive({profileAgent});
+      roles.assertCanUseCapabilities(
+        {profileAgent, capabilities: Object.values(zcaps || {})});
+      await zcapVerification.verifyCapabilities(
+        {profileAgent, zcaps: zcaps || {}});
+
+      profileAgent.sequence++;
+      // replace existing zcaps
+      profileAgent.zcaps = zcaps;
+
+      await profileAgents.update({profileAgent});
+
+      res.set('ETag', _getSequenceETag({profileAgent}));
+      res.status(204).end();
+    }));
+
+  // adds, replaces, or removes individual zcaps in a profile agent's
+  // capability set; the update fails if the profile agent changes
+  // concurrently
+  app.patch(
+    routes.profileAgentCapabilitySet,
+    ensureAuthenticated,
+    validate({
+      bodySchema: schemas.capabilitySetPatch,
+      querySchema: schemas.accountQuery
+    }),
+    asyncHandler(async (req, res) => {
+      const {id: accountId} = req.user.account || {};
+      const {account} = req.query;
+      const {sequence, operations} = req.body;
+      if(!accountId || account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+      const {profileAgentId} = req.params;
+      const {profileAgent} = await _getProfileAgentRecord({id: profileAgentId});
+
+      // ensure profile agent `account` matches session account
+      if(profileAgent.account !== accountId) {
+        throw new BedrockError(
+          'The "account" is not authorized.',
+          'NotAllowedError',
+          {httpStatusCode: 403, public: true});
+      }
+
+      _assertSequenceMatches({req, sequence, profileAgent});
+      profileAgentStatus.assertActive({profileAgent});
+      const added = operations.filter(({zcap}) => zcap);
+      roles.assertCanUseCapabilities(
+        {profileAgent, capabilities: added.map(({zcap}) => zcap)});
+      await zcapVerification.verifyCapabilities({
+        profileAgent,
+        zcaps: Object.fromEntries(added.map(({name, zcap}) => [name, zcap]))
+      });
+
+      const zcaps = {...profileAgent.zcaps};
+      operations.forEach(({op, name, zcap}, index) => {
+        const exists = Object.hasOwn(zcaps, name);
+        if(op === 'add' ? exists : !exists) {
+          throw new BedrockError(
+            `Operation ${index} cannot ${op} zcap "${name}" because it ` +
+            `${exists ? 'already exists' : 'does not exist'}.`,
+            'InvalidStateError', {
+              index,
+              name,
+              httpStatusCode: 409,
+              public: true
+            });
+        }
+        if(op === 'remove') {
+          delete zcaps[name];
+        } else {
+          zcaps[name] = zcap;
+        }
+      });
+
+      // `update` fails if the stored sequence has changed since it was read
+      profileAgent.sequence++;
+      profileAgent.zcaps = zcaps;
+      await profileAgents.update({profileAgent});
+
+      res.set('ETag', _getSequenceETag({profileAgent}));
+      res.status(204).end();
+    }));
+});
+
+// replays the original response to a request that repeats the session
+// account's `Idempotency-Key` header; otherwise stores the response to the
+// request for future replay
+async function _handleIdempotencyKey(req, res, next) {
+  const key = req.get('idempotency-key');
+  const {id: account} = req.user.account || {};
+  // no idempotency key or account, process request normally
+  if(key === undefined || !account) {
+    return next();
+  }
+  if(!(key.length > 0 && key.length <= 255)) {
+    throw new BedrockError(
+      'The "Idempotency-Key" header must be 1 to 255 characters long.',
+      'DataError',
+      {httpStatusCode: 400, public: true});
+  }
+
+  const requestHash = idempotency.hashRequest(
+    {route: `${req.method} ${req.route.path}`, body: req.body});
+  const {created, record} = await idempotency.begin(
+    {account, key, requestHash});
+  if(!created) {
+    const {idempotencyKey} = record;
+    if(idempotencyKey.requestHash !== requestHash) {
+      throw new BedrockError(
+        'The "Idempotency-Key" has already been used with a different ' +
+        'request.',
+        'ConstraintError',
+        {httpStatusCode: 422, public: true});
+    }
+    if(idempotencyKey.status !== 'complete') {
+      throw new BedrockError(
+        'A request with the same "Idempotency-Key" is still being processed.',
+        'DuplicateError',
+        {httpStatusCode: 409, public: true});
+    }
+    const {response: {status, location, body}} = idempotencyKey;
+    res.set('Idempotent-Replayed', 'true');
+    if(location) {
+      res.set('Location', location);
+    }
+    return res.status(status).json(body);
+  }
+
+  // store the response before sending it; an error response releases the
+  // key so the request can be retried
+  let handled = false;
+  const json = res.json.bind(res);
+  res.json = body => {
+    handled = true;
+    res.json = json;
+    const {statusCode: status} = res;
+    const location = res.get('Location');
+    const response = {status, ...(location && {location}), body};
+    const promise = status < 400 ?
+      idempotency.complete({account, key, response}) :
+      idempotency.remove({account, key});
+    promise.catch(error => {
+      logger.error(
+        `Could not update record for idempotency key "${key}".`, {error});
+    }).then(() => json(body));
+    return res;
+  };
+  // release the key if a response is sent without JSON
+  res.once('close', () => {
+    if(!handled) {
+      idempotency.remove({account, key}).catch(error => {
+        logger.error(
+          `Could not remove record for idempotency key "${key}".`, {error});
+      });
+    }
+  });
+  next();
+}
+
+// return select properties in the profileAgent record which does NOT include
+// record.secrets
+function _sanitizeProfileAgentRecord(record) {
+  const {meta, profileAgent} = record;
+  const sanitizedRecord = {
+    meta,
+    profileAgent: {
+      ...profileAgent,
+      role: roles.getRole({profileAgent}),
+      status: profileAgentStatus.getStatus({profileAgent})
+    },
+  };
   return sanitizedRecord;
 }
 
+// provisions a new profile for an account; `onStep` is called as each step
+// of the provisioning process starts
+async function _provisionProfile({
+  account, didMethod, didOptions, edvProductId, webKmsProductId,
+  onStep = () => {}
+} = {}) {
+  const cfg = config['profile-http'];
+
+  await onStep({step: 'createMeters'});
+  // create a new meter, edv options, and keystore options
+  const meterResults = await Promise.allSettled([
+    _createMeter({
+      // controller of meter is the app that runs bedrock-profile-http
+      controller: APP_ID,
+      // use requested EDV product, if allowed, or default EDV product
+      productId: edvProductId,
+      // use zcap for edv meter creation; when undefined invoke root zcap
+      capability: EDV_METER_CREATION_ZCAP,
+    }),
+    _createMeter({
+      // controller of meter is the app that runs bedrock-profile-http
+      controller: APP_ID,
+      // use requested webkms product, if allowed, or default product
+      productId: webKmsProductId,
+      // use zcap for webkms meter creation; when undefined invoke root zcap
+      capability: WEBKMS_METER_CREATION_ZCAP,
+    })
+  ]);
+  // if either meter could not be created, remove the other one
+  const failedMeterResult = meterResults.find(
+    ({status}) => status === 'rejected');
+  if(failedMeterResult) {
+    const ids = meterResults
+      .filter(({status}) => status === 'fulfilled')
+      .map(({value: {id}}) => id);
+    await _cleanupMeters({ids});
+    throw failedMeterResult.reason;
+  }
+  const [
+    {value: {id: edvMeterId}}, {value: {id: kmsMeterId}}
+  ] = meterResults;
+  const edvOptions = {
+    baseUrl: cfg.edvBaseUrl,
+    meterId: edvMeterId,
+    meterCapabilityInvocationSigner: ZCAP_CLIENT.invocationSigner
+  };
+  // add any additionally configured EDVs
+  if(cfg.additionalEdvs) {
+    edvOptions.additionalEdvs = Object.values(cfg.additionalEdvs);
+  }
+  const keystoreOptions = {
+    meterId: kmsMeterId,
+    meterCapabilityInvocationSigner: ZCAP_CLIENT.invocationSigner
+  };
+
+  await onStep({step: 'createProfile'});
+  let profile;
+  try {
+    profile = await profiles.create({
+      accountId: account,
+      didMethod,
+      keystoreOptions: {
+        profileAgent: keystoreOptions,
+        profile: keystoreOptions
+      },
+      edvOptions: {
+        profile: edvOptions
+      },
+      didOptions
+    });
+  } catch(e) {
+    await _cleanupMeters({ids: [edvMeterId, kmsMeterId]});
+    throw e;
+  }
+
+  // the account that provisioned the profile owns it
+  const {profileAgent} = await profileAgents.getByProfile(
+    {accountId: account, profileId: profile.id});
+  await roles.setRole({profileAgentId: profileAgent.id, role: 'owner'});
+
+  return profile;
+}
+
+// creates a profile agent with the given role and a new keystore and webkms
+// meter, which is added to the profile's meters so that it is removed with
+// the profile agent or the profile; the meter is removed if the profile
+// agent cannot be created; resolves to the profile agent record and the ID
+// of its meter
+async function _createProfileAgent({
+  profileId, accountId, token, webKmsProductId, role
+} = {}) {
+  // create a new meter and keystore options
+  const {id: meterId} = await _createMeter({
+    // controller of meter is app that runs bedrock-profile-http
+    controller: APP_ID,
+    // use requested webkms product, if allowed, or default product
+    productId: webKmsProductId,
+    // use zcap for webkms meter creation; when undefined invoke root zcap
+    capability: WEBKMS_METER_CREATION_ZCAP,
+  });
+  const keystoreOptions = {
+    meterId,
+    meterCapabilityInvocationSigner: ZCAP_CLIENT.invocationSigner
+  };
+
+  const options = {
+    profileId,
+    keystoreOptions,
+    store: true
+  };
+  if(accountId) {
+    options.accountId = accountId;
+  }
+  if(token) {
+    options.token = token;
+  }
+
+  let profileAgentRecord;
+  try {
+    profileAgentRecord = await profileAgents.create(options);
+  } catch(e) {
+    await _cleanupMeters({ids: [meterId]});
+    throw e;
+  }
+  const {profileAgent: {id: profileAgentId}} = profileAgentRecord;
+  try {
+    await profileMeters.add({
+      meter: {
+        id: meterId,
+        profile: profileId,
+        serviceType: 'webkms',
+        referenceId: meterCleanup.getProfileAgentReferenceId({profileAgentId})
+      }
+    });
+  } catch(e) {
+    await profileAgents.remove({id: profileAgentId});
+    await _cleanupMeters({ids: [meterId]});
+    throw e;
+  }
+  profileAgentRecord = await roles.setRole({profileAgentId, role});
+  return {profileAgentRecord, meterId};
+}
+
+// creates a profile agent for the account invited to a profile, delegates
+// the inviting profile agent's profile capability invocation zcap and user
+// EDV document zcaps to it, and completes accepting the invitation; the
+// profile agent is removed if the invitation cannot be completed, e.g.
+// because it has expired
+async function _createInvitedProfileAgent({invitation} = {}) {
+  const {profile: profileId, account, inviter} = invitation;
+  let inviterRecord;
+  try {
+    inviterRecord = await _getProfileAgentRecord(
+      {id: inviter.profileAgent, includeSecrets: true});
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+  }
+  // `@bedrock/profile` removes profile agents that hold the profile's
+  // capability invocation zcap without the zcaps for their user EDV document
+  const inviterZcaps = inviterRecord?.profileAgent.zcaps ?? {};
+  if(!INVITED_PROFILE_AGENT_ZCAPS.every(name => inviterZcaps[name])) {
+    throw new BedrockError(
+      'The inviting profile agent can no longer grant access to the profile.',
+      'InvalidStateError', {
+        invitation: invitation.id,
+        httpStatusCode: 409,
+        public: true
+      });
+  }
+  profileAgentStatus.assertActive({profileAgent: inviterRecord.profileAgent});
+
+  const {profileAgentRecord: {profileAgent}, meterId} =
+    await _createProfileAgent({
+      profileId, accountId: account,
+      webKmsProductId: _getProductId({account, serviceType: 'webkms'}),
+      role: invitation.role
+    });
+  try {
+    const zcaps = {...profileAgent.zcaps};
+    await Promise.all(INVITED_PROFILE_AGENT_ZCAPS.map(async name => {
+      const capability = inviterZcaps[name];
+      [zcaps[name]] = await profileAgents.delegateCapabilities({
+        profileAgent: inviterRecord.profileAgent,
+        capabilities: [capability],
+        controller: profileAgent.id,
+        secrets: inviterRecord.secrets,
+        expires: capability.expires
+      });
+    }));
+    const profileAgentRecord = await profileAgents.update({
+      profileAgent: {
+        ...profileAgent,
+        sequence: profileAgent.sequence + 1,
+        zcaps
+      }
+    });
+    await invitations.completeAccept({
+      id: invitation.id, profile: profileId, profileAgent: profileAgent.id
+    });
+    return profileAgentRecord;
+  } catch(e) {
+    await profileAgents.remove({id: profileAgent.id});
+    await profileMeters.remove({id: meterId});
+    await _cleanupMeters({ids: [meterId]});
+    throw e;
+  }
+}
+
+// gets an entity tag for the current sequence of a profile agent
+function _getSequenceETag({profileAgent}) {
+  return `"${profileAgent.sequence}"`;
+}
+
+// ensures the profile agent's sequence matches the request's `If-Match`
+// header and expected `sequence`, if given
+function _assertSequenceMatches({req, sequence, profileAgent}) {
+  const ifMatch = req.get('if-match');
+  const etag = _getSequenceETag({profileAgent});
+  const matches = ifMatch === undefined || ifMatch.trim() === '*' ||
+    ifMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+  if(!matches || (sequence !== undefined &&
+    sequence !== profileAgent.sequence)) {
+    throw new BedrockError(
+      'The profile agent has been changed since the given sequence.',
+      'InvalidStateError', {
+        sequence: profileAgent.sequence,
+        httpStatusCode: 412,
+        public: true
+      });
+  }
+}
+
+// gets zcaps in a profile agent's capability set that expire within the
+// given window, soonest first, with the parent zcaps they can be refreshed
+// from; a zcap can be refreshed if an active profile agent of the same
+// profile and account holds its parent zcap, the parent zcap expires later,
+// and neither zcap's delegation has been revoked
+async function _getExpiringCapabilities({profileAgent, within} = {}) {
+  const now = Date.now();
+  const {refreshWindow} = config['profile-http'].zcap;
+  const expiresBefore = now + (within ?? refreshWindow);
+  const expiring = Object.entries(profileAgent.zcaps || {})
+    .filter(([, zcap]) => zcap.expires !== undefined &&
+      Date.parse(zcap.expires) <= expiresBefore)
+    .map(([name, zcap]) => ({name, zcap}))
+    .sort((a, b) => Date.parse(a.zcap.expires) - Date.parse(b.zcap.expires));
+  if(expiring.length === 0) {
+    return expiring;
+  }
+
+  // find the profile agents of the same account that hold the parent zcaps
+  const collection = database.collections['profile-profileAgent'];
+  const records = await collection.find({
+    'profileAgent.account': profileAgent.account,
+    'profileAgent.profile': profileAgent.profile,
+    ...profileAgentDeletion.NOT_DELETED
+  }, {
+    projection: {
+      _id: 0, 'profileAgent.id': 1, 'profileAgent.status': 1,
+      'profileAgent.zcaps': 1
+    }
+  }).toArray();
+  const parents = new Map();
+  for(const {profileAgent: holder} of records) {
+    if(profileAgentStatus.getStatus({profileAgent: holder}) !== 'active') {
+      continue;
+    }
+    for(const zcap of Object.values(holder.zcaps || {})) {
+      parents.set(zcap.id, {profileAgentId: holder.id, zcap});
+    }
+  }
+
+  const revoked = await delegations.getRevoked({
+    zcaps: expiring.flatMap(({zcap}) => [zcap.id, zcap.parentCapability])
+  });
+  for(const item of expiring) {
+    const parent = parents.get(item.zcap.parentCapability);
+    if(revoked.has(item.zcap.id) || revoked.has(item.zcap.parentCapability)) {
+      item.refreshable = false;
+      item.reason = 'revoked';
+    } else if(!parent) {
+      item.refreshable = false;
+      item.reason = 'parentNotFound';
+    } else if(!(parent.zcap.expires === undefined ||
+      Date.parse(parent.zcap.expires) > Date.parse(item.zcap.expires))) {
+      item.refreshable = false;
+      item.reason = 'parentExpiring';
+    } else {
+      item.refreshable = true;
+      item.parent = parent;
+    }
+  }
+  return expiring;
+}
+
+// re-delegates a zcap in a profile agent's capability set from its parent
+// zcap with a new expiration, keeping the zcap's controller and any
+// attenuation of its parent zcap
+async function _refreshCapability({profileAgent, zcap, parent} = {}) {
+  const {profileAgent: delegator, secrets} = await _getProfileAgentRecord(
+    {id: parent.profileAgentId, includeSecrets: true});
+  const expires = zcapExpiry.getDelegatedZcapExpires(
+    {zcap: parent.zcap, controller: zcap.controller});
+  if(!(Date.parse(expires) > Date.parse(zcap.expires))) {
+    throw new Error('The parent zcap does not allow a later expiration.');
+  }
+  const invocationTarget = delegationPolicy.getInvocationTarget({zcap});
+  const parentTarget = delegationPolicy.getInvocationTarget(
+    {zcap: parent.zcap});
+  const actions = JSON.stringify(zcap.allowedAction);
+  const parentActions = JSON.stringify(parent.zcap.allowedAction);
+  const delegation = {
+    zcap: parent.zcap,
+    controller: zcap.controller,
+    allowedAction: actions === parentActions ? undefined : zcap.allowedAction,
+    invocationTarget: invocationTarget === parentTarget ?
+      undefined : invocationTarget
+  };
+  // refreshing is a new delegation by the parent zcap's holder, which the
+  // roles of both the holder and the refreshing profile agent must permit
+  const capabilities = [{
+    ...parent.zcap,
+    allowedAction: delegationPolicy.getAllowedActions({delegation})
+  }];
+  roles.assertCanUseCapabilities({profileAgent: delegator, capabilities});
+  roles.assertCanUseCapabilities({profileAgent, capabilities});
+  await delegationPolicy.check(
+    {profileAgent: delegator, delegations: [delegation]});
+  const refreshed = await _delegateCapability(
+    {profileAgent: delegator, secrets, ...delegation, expires});
+  await delegations.record({profileAgent: delegator.id, zcaps: [refreshed]});
+  return refreshed;
+}
+
+// delegates a zcap from a profile agent, attenuating its allowed actions or
+// invocation target if requested
+async function _delegateCapability({
+  profileAgent, secrets, zcap, controller, expires, allowedAction,
+  invocationTarget
+} = {}) {
+  if(allowedAction === undefined && invocationTarget === undefined) {
+    const [delegated] = await profileAgents.delegateCapabilities({
+      profileAgent, capabilities: [zcap], controller, secrets, expires
+    });
+    return delegated;
+  }
+  const {capabilityAgent} = await profileAgents.getAgents(
+    {profileAgent, secrets});
+  const zcapClient = new ZcapClient({
+    SuiteClass: Ed25519Signature2020,
+    delegationSigner: capabilityAgent.getSigner()
+  });
+  return zcapClient.delegate({
+    capability: zcap, controller, expires,
+    allowedActions: allowedAction, invocationTarget
+  });
+}
+
+// runs a profile provisioning job, recording its progress and result
+async function _runProvisioningJob({job, account, ...options} = {}) {
+  const {id} = job;
+  let step;
+  try {
+    const profile = await _provisionProfile({
+      account, ...options,
+      async onStep(progress) {
+        ({step} = progress);
+        await provisioningJobs.update(
+          {id, account, status: 'running', step});
+      }
+    });
+    await provisioningJobs.update(
+      {id, account, status: 'complete', step: 'complete', profile});
+  } catch(e) {
+    logger.error(`Provisioning job "${id}" failed.`, {error: e});
+    try {
+      await provisioningJobs.update({
+        id, account, status: 'failed', step,
+        error: {step, ..._serializeError(e)}
+      });
+    } catch(error) {
+      logger.error(
+        `Could not record failure of provisioning job "${id}".`, {error});
+    }
+  }
+}
+
+// returns `true` if the request prefers an asynchronous response (RFC 7240)
+function _prefersRespondAsync(req) {
+  const prefer = req.get('prefer') || '';
+  return prefer.split(/[,;]/).some(
+    preference => preference.trim() === 'respond-async');
+}
+
+// adds each profile agent's profile meters to its record
+async function _addProfileMeters({records} = {}) {
+  const profileMetersMap = await _getProfileMetersMap({records});
+  return records.map(record => ({
+    ...record,
+    profileMeters: profileMetersMap.get(record.profileAgent.profile)
+  }));
+}
+
+// gets the profile meters for each profile of the given profile agents,
+// mapped by profile ID
+async function _getProfileMetersMap({records} = {}) {
+  const profileIds = new Set(
+    records.map(({profileAgent}) => profileAgent.profile));
+  const entries = await Promise.all([...profileIds].map(async profileId => {
+    const {meters} = await profileMeters.findByProfile({profileId});
+    return [profileId, meters];
+  }));
+  return new Map(entries);
+}
+
+// gets the version of the `GET /profile-agents` response requested via the
+// `Accept-Version` header; defaults to version 1
+function _getProfileAgentsApiVersion(req) {
+  const version = req.get('accept-version');
+  if(version === undefined || version === '1') {
+    return 1;
+  }
+  if(version === '2') {
+    return 2;
+  }
+  throw new BedrockError(
+    `Version "${version}" of this API is not supported.`,
+    'NotSupportedError', {
+      httpStatusCode: 406,
+      public: true,
+      supportedVersions: ['1', '2']
+    });
+}
+
+// gets the profile agent record the given account holds for a profile,
+// other than `excludeProfileAgentId`, throwing a `NotAllowedError` if the
+// account holds none
+async function _getProfileAgentRecordByProfile({
+  accountId, profileId, excludeProfileAgentId, includeSecrets = false
+} = {}) {
+  // an account may have several profile agents for a profile; use the one
+  // with the highest role, preferring one that holds the profile's
+  // capability invocation zcap
+  const collection = database.collections['profile-profileAgent'];
+  const records = await collection.find({
+    'profileAgent.account': accountId,
+    'profileAgent.profile': profileId,
+    ...(excludeProfileAgentId &&
+      {'profileAgent.id': {$ne: excludeProfileAgentId}}),
+    ...profileAgentDeletion.NOT_DELETED
+  }, {
+    projection: {
+      _id: 0,
+      'profileAgent.id': 1,
+      'profileAgent.role': 1,
+      'profileAgent.zcaps.profileCapabilityInvocationKey.id': 1
+    }
+  }).toArray();
+  const rank = ({profileAgent}) =>
+    roles.ROLES.indexOf(roles.getRole({profileAgent})) * 2 +
+    (profileAgent.zcaps?.profileCapabilityInvocationKey ? 0 : 1);
+  records.sort((a, b) => rank(a) - rank(b));
+  for(const record of records) {
+    try {
+      return await _getProfileAgentRecord(
+        {id: record.profileAgent.id, includeSecrets});
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+    }
+  }
+  throw new BedrockError(
+    'The "account" is not authorized.',
+    'NotAllowedError',
+    {httpStatusCode: 403, public: true});
+}
+
+// gets a profile agent record, treating profile agents that have been
+// deleted but not yet removed as not found
+async function _getProfileAgentRecord({id, includeSecrets = false} = {}) {
+  const record = await profileAgents.get({id, includeSecrets});
+  if(profileAgentDeletion.isDeleted(record)) {
+    throw new BedrockError(
+      'Profile agent not found.',
+      'NotFoundError', {
+        id,
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  return record;
+}
+
+// ensures the account holds the profile agent, unless `allowHolder` is
+// `false`, or holds another active profile agent for the same profile that
+// may manage it
+async function _assertCanManageProfileAgent({
+  accountId, profileAgent, allowHolder = true
+} = {}) {
+  if(allowHolder && profileAgent.account === accountId) {
+    return;
+  }
+  const {profileAgent: managingProfileAgent} =
+    await _getProfileAgentRecordByProfile({
+      accountId, profileId: profileAgent.profile,
+      excludeProfileAgentId: profileAgent.id
+    });
+  profileAgentStatus.assertActive({profileAgent: managingProfileAgent});
+  roles.assertCanManage({
+    profileAgent: managingProfileAgent,
+    roles: [roles.getRole({profileAgent})]
+  });
+}
+
+// gets the IDs of every profile agent for a profile, regardless of account
+async function _getProfileAgentIdsByProfile({profileId} = {}) {
+  const collection = database.collections['profile-profileAgent'];
+  const records = await collection.find(
+    {'profileAgent.profile': profileId},
+    {projection: {_id: 0, 'profileAgent.id': 1}}).toArray();
+  return records.map(({profileAgent: {id}}) => id);
+}
+
+// gets an invocation signer for acting as the profile that is driven by the
+// given profile agent record (which must include secrets)
+async function _getProfileSigner({profileAgentRecord} = {}) {
+  const {profileAgent} = profileAgentRecord;
+  if(!profileAgent.zcaps?.profileCapabilityInvocationKey) {
+    throw new BedrockError(
+      'The profile agent is not authorized to act as the profile.',
+      'NotAllowedError',
+      {httpStatusCode: 403, public: true});
+  }
+  return profileAgents.getProfileSigner({profileAgentRecord});
+}
+
+// gets the configs for the profile's user EDV and any additionally configured
+// EDVs, keyed by reference ID
+async function _getProfileEdvs({profileId, invocationSigner} = {}) {
+  const cfg = config['profile-http'];
+  const referenceIds = [
+    ...Object.values(cfg.additionalEdvs || {}).map(
+      ({referenceId}) => referenceId),
+    'user'
+  ];
+  const edvs = {};
+  await Promise.all(referenceIds.map(async referenceId => {
+    const edvConfig = await EdvClient.findConfig({
+      url: `${cfg.edvBaseUrl}/edvs`,
+      controller: profileId,
+      referenceId,
+      httpsAgent,
+      invocationSigner
+    });
+    // additional EDVs may have been configured after the profile was created
+    if(edvConfig) {
+      edvs[referenceId] = edvConfig;
+    }
+  }));
+  return edvs;
+}
+
+// gets the configs for the keystores controlled by the profile
+async function _getProfileKeystores({profileAgent, invocationSigner} = {}) {
+  // the profile keystore holds the profile's capability invocation key
+  const {invocationTarget} = profileAgent.zcaps.profileCapabilityInvocationKey;
+  const keyId = typeof invocationTarget === 'string' ?
+    invocationTarget : invocationTarget.id;
+  const keystoreId = keyId.slice(0, keyId.lastIndexOf('/keys/'));
+  const kmsClient = new KmsClient({keystoreId, httpsAgent});
+  const keystoreConfig = await kmsClient.getKeystore({invocationSigner});
+  return [keystoreConfig];
+}
+
+// gets the product ID to use for a meter for the given service type; the
+// default product is used if none was requested, otherwise the requested
+// product must be allowed for the account
+function _getProductId({account, serviceType, productId} = {}) {
+  const {allowedProducts, defaultProducts} = config['profile-http'];
+  const defaultProductId = defaultProducts[serviceType];
+  if(productId === undefined || productId === defaultProductId) {
+    return defaultProductId;
+  }
+  const allowed = [
+    ...(allowedProducts[serviceType] || []),
+    ...(allowedProducts.accounts?.[account]?.[serviceType] || [])
+  ];
+  if(!allowed.includes(productId)) {
+    throw new BedrockError(
+      `The requested "${serviceType}" product is not allowed.`,
+      'NotAllowedError', {
+        httpStatusCode: 403,
+        public: true,
+        serviceType,
+        productId
+      });
+  }
+  return productId;
+}
+
 async function _createMeter({controller, productId, capability} = {}) {
   let url;
   if(capability) {
@@ -435,3 +2118,99 @@ async function _createMeter({controller, productId, capability} = {}) {
   url = url.slice(0, url.indexOf('/meters') + '/meters'.length);
   return {id: `${url}/${id}`};
 }
+
+// removes meters created by a provisioning process that failed; any meter
+// that cannot be removed is recorded so that its removal can be retried later
+async function _cleanupMeters({ids} = {}) {
+  await Promise.all(ids.map(async id => {
+    try {
+      await _cleanupMeter({id});
+    } catch(error) {
+      try {
+        await meterCleanup.add({meter: {id, controller: APP_ID}, error});
+      } catch(e) {
+        logger.error(
+          `Could not record failed cleanup of meter "${id}".`, {error: e});
+      }
+    }
+  }));
+}
+
+// retries removing the meters recorded by `_cleanupMeters`; a meter that
+// still cannot be removed stays recorded for the next retry
+async function _retryMeterCleanup() {
+  const meters = await meterCleanup.getAll();
+  for(const meter of meters) {
+    try {
+      await _cleanupMeter({id: meter.id});
+    } catch(error) {
+      logger.error(`Could not remove meter "${meter.id}".`, {error});
+      await meterCleanup.add({meter, error});
+      continue;
+    }
+    await meterCleanup.remove({id: meter.id});
+  }
+}
+
+// removes a meter created by a provisioning process that failed unless
+// provisioning progressed far enough to be continued later, in which case
+// the meter is in use and must not be removed
+async function _cleanupMeter({id} = {}) {
+  if(await _isMeterInUse({id})) {
+    return;
+  }
+  await _removeMeter({id});
+}
+
+// returns `true` if a meter is referenced by a profile or a profile agent
+// whose provisioning has not yet completed
+async function _isMeterInUse({id} = {}) {
+  try {
+    await profileMeters.get({id});
+    return true;
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+  }
+  const collection = database.collections['profile-profileAgent'];
+  const record = await collection.findOne({
+    $or: [
+      {'profileAgent._meters.edvMeter.id': id},
+      {'profileAgent._meters.kmsMeter.id': id}
+    ]
+  }, {projection: {_id: 0, 'profileAgent.id': 1}});
+  return !!record;
+}
+
+// removes a meter from the meter service; `invocationSigner` must be for the
+// meter's controller, defaulting to the application's invocation signer
+async function _removeMeter({id, invocationSigner} = {}) {
+  let zcapClient = ZCAP_CLIENT;
+  if(invocationSigner) {
+    zcapClient = new ZcapClient({
+      agent: httpsAgent,
+      invocationSigner,
+      SuiteClass: Ed25519Signature2020
+    });
+  }
+  try {
+    await zcapClient.request({url: id, method: 'delete', action: 'write'});
+  } catch(e) {
+    // meter already removed
+    if(e.status === 404) {
+      return;
+    }
+    throw e;
+  }
+}
+
+// returns a JSON-serializable summary of an error for inclusion in a report;
+// errors that are not public are replaced with a generic error
+function _serializeError(e) {
+  if(!e.public) {
+    return {name: 'OperationError', message: 'An unspecified error occurred.'};
+  }
+  const {name, message, details} = e;
+  return {name, message, details};
+}
@@ -0,0 +1,137 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {createHash} from 'node:crypto';
+
+const {config} = bedrock;
+
+const COLLECTION_NAME = 'profile-http-idempotencyKey';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'idempotencyKey.account': 1, 'idempotencyKey.key': 1},
+    options: {unique: true, background: false}
+  }, {
+    // expire records automatically
+    collection: COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {unique: false, background: false, expireAfterSeconds: 0}
+  }]);
+});
+
+/**
+ * Begins processing a request that was sent with an idempotency key. If the
+ * account has not used the key before, a pending record for the key is
+ * stored. Otherwise, the existing record for the key is returned.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.account - The ID of the account that sent the
+ *   request.
+ * @param {string} options.key - The idempotency key.
+ * @param {string} options.requestHash - The hash of the request, as computed
+ *   by `hashRequest()`.
+ *
+ * @returns {Promise<object>} Resolves to `{created: true}` if the key is new,
+ *   otherwise `{created: false, record}` with the existing record.
+ */
+export async function begin({account, key, requestHash} = {}) {
+  const now = Date.now();
+  const {ttl} = config['profile-http'].idempotency;
+  const collection = database.collections[COLLECTION_NAME];
+  try {
+    await collection.insertOne({
+      meta: {created: now, updated: now, expires: new Date(now + ttl)},
+      idempotencyKey: {account, key, requestHash, status: 'pending'}
+    });
+    return {created: true};
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+  }
+  const record = await collection.findOne(
+    {'idempotencyKey.account': account, 'idempotencyKey.key': key},
+    {projection: {_id: 0}});
+  if(!record) {
+    // record expired since the insert was attempted
+    return begin({account, key, requestHash});
+  }
+  return {created: false, record};
+}
+
+/**
+ * Stores the response for a request that was sent with an idempotency key so
+ * that it can be returned for any repeated request with the same key.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.account - The ID of the account that sent the
+ *   request.
+ * @param {string} options.key - The idempotency key.
+ * @param {object} options.response - The response with its HTTP `status`,
+ *   JSON `body`, and `location` if it has a `Location` header.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function complete({account, key, response} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne(
+    {'idempotencyKey.account': account, 'idempotencyKey.key': key}, {
+      $set: {
+        'meta.updated': Date.now(),
+        'idempotencyKey.status': 'complete',
+        'idempotencyKey.response': response
+      }
+    });
+}
+
+/**
+ * Removes the record for an idempotency key, allowing the key to be used
+ * again, e.g., after the request it was sent with failed.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.account - The ID of the account that sent the
+ *   request.
+ * @param {string} options.key - The idempotency key.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function remove({account, key} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.deleteOne(
+    {'idempotencyKey.account': account, 'idempotencyKey.key': key});
+}
+
+/**
+ * Hashes a request so that a repeated request with the same idempotency key
+ * can be checked against the original.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.route - The route the request was sent to.
+ * @param {object} options.body - The JSON body of the request.
+ *
+ * @returns {string} The hash of the request.
+ */
+export function hashRequest({route, body} = {}) {
+  return createHash('sha256')
+    .update(_canonicalize({route, body}))
+    .digest('base64url');
+}
+
+// serializes JSON with sorted object keys so equivalent requests hash equally
+function _canonicalize(value) {
+  if(Array.isArray(value)) {
+    return `[${value.map(_canonicalize).join(',')}]`;
+  }
+  if(value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${_canonicalize(value[k])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
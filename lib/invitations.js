@@ -0,0 +1,193 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {randomUUID} from 'node:crypto';
+
+const {config, util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'profile-http-invitation';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'invitation.id': 1},
+    options: {unique: true, background: false}
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {'invitation.profile': 1, 'invitation.created': 1},
+    options: {unique: false, background: false}
+  }, {
+    // expire records automatically
+    collection: COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {unique: false, background: false, expireAfterSeconds: 0}
+  }]);
+});
+
+/**
+ * Creates a pending invitation for an account to a profile.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profile - The ID of the profile.
+ * @param {string} options.account - The ID of the invited account.
+ * @param {string} options.role - The role of the profile agent that will be
+ *   created for the invited account.
+ * @param {object} options.inviter - The `account` and `profileAgent` IDs of
+ *   the inviter.
+ *
+ * @returns {Promise<object>} Resolves to the invitation.
+ */
+export async function create({profile, account, role, inviter} = {}) {
+  const now = Date.now();
+  const {ttl} = config['profile-http'].invitations;
+  const invitation = {
+    id: randomUUID(),
+    profile,
+    account,
+    role,
+    inviter,
+    status: 'pending',
+    created: now,
+    updated: now,
+    expires: now + ttl
+  };
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.insertOne({
+    meta: {created: now, updated: now, expires: new Date(invitation.expires)},
+    invitation
+  });
+  return {...invitation};
+}
+
+/**
+ * Gets all unexpired invitations to a profile, oldest first.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profile - The ID of the profile.
+ *
+ * @returns {Promise<Array>} Resolves to the invitations.
+ */
+export async function getAll({profile} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const records = await collection.find({
+    'invitation.profile': profile,
+    'invitation.expires': {$gt: Date.now()}
+  }, {projection: {_id: 0, invitation: 1}})
+    .sort({'invitation.created': 1})
+    .toArray();
+  return records.map(({invitation}) => invitation);
+}
+
+/**
+ * Revokes a pending invitation to a profile.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the invitation.
+ * @param {string} options.profile - The ID of the profile.
+ *
+ * @returns {Promise<object>} Resolves to the revoked invitation.
+ */
+export async function revoke({id, profile} = {}) {
+  return _setStatus({id, profile, from: 'pending', to: 'revoked'});
+}
+
+/**
+ * Begins accepting a pending invitation. While an invitation is being
+ * accepted it cannot be accepted again or revoked; `completeAccept` or
+ * `abortAccept` must be called once the invited account's profile agent has
+ * or has not been created.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the invitation.
+ * @param {string} options.profile - The ID of the profile.
+ * @param {string} options.account - The ID of the account accepting the
+ *   invitation; it must be the invited account.
+ *
+ * @returns {Promise<object>} Resolves to the invitation.
+ */
+export async function beginAccept({id, profile, account} = {}) {
+  return _setStatus({id, profile, account, from: 'pending', to: 'accepting'});
+}
+
+/**
+ * Completes accepting an invitation. The invitation must not have expired
+ * when it is completed, even if it had not when accepting it began.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the invitation.
+ * @param {string} options.profile - The ID of the profile.
+ * @param {string} options.profileAgent - The ID of the profile agent created
+ *   for the invited account.
+ *
+ * @returns {Promise<object>} Resolves to the accepted invitation.
+ */
+export async function completeAccept({id, profile, profileAgent} = {}) {
+  return _setStatus(
+    {id, profile, from: 'accepting', to: 'accepted', profileAgent});
+}
+
+/**
+ * Aborts accepting an invitation, returning it to `pending`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the invitation.
+ * @param {string} options.profile - The ID of the profile.
+ *
+ * @returns {Promise<object>} Resolves to the pending invitation.
+ */
+export async function abortAccept({id, profile} = {}) {
+  return _setStatus({id, profile, from: 'accepting', to: 'pending'});
+}
+
+async function _setStatus({id, profile, account, from, to, profileAgent}) {
+  const now = Date.now();
+  const query = {
+    'invitation.id': id,
+    'invitation.profile': profile,
+    'invitation.expires': {$gt: now}
+  };
+  if(account !== undefined) {
+    query['invitation.account'] = account;
+  }
+  const $set = {
+    'meta.updated': now,
+    'invitation.updated': now,
+    'invitation.status': to
+  };
+  if(profileAgent !== undefined) {
+    $set['invitation.profileAgent'] = profileAgent;
+  }
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.findOneAndUpdate(
+    {...query, 'invitation.status': from}, {$set}, {
+      projection: {_id: 0, invitation: 1},
+      returnDocument: 'after'
+    });
+  if(result.value) {
+    return result.value.invitation;
+  }
+
+  // determine whether the invitation does not exist or is in another state
+  const record = await collection.findOne(query, {projection: {_id: 0}});
+  if(!record) {
+    throw new BedrockError(
+      'Invitation not found.',
+      'NotFoundError', {
+        invitation: id,
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  throw new BedrockError(
+    `Invitation is "${record.invitation.status}".`,
+    'InvalidStateError', {
+      invitation: id,
+      status: record.invitation.status,
+      httpStatusCode: 409,
+      public: true
+    });
+}
@@ -0,0 +1,128 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+
+const COLLECTION_NAME = 'profile-http-meterCleanup';
+const PROFILE_AGENT_REFERENCE_PREFIX = 'profileAgent:';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'meter.id': 1},
+    options: {unique: true, background: false}
+  }]);
+});
+
+/**
+ * Records a meter that could not be removed after the provisioning process
+ * that created it failed, so that its removal is retried every
+ * `meterCleanup.sweepInterval`. Recording the same meter again updates its
+ * existing record.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.meter - The meter to record, with its full URL
+ *   `id` and its `controller`.
+ * @param {Error} options.error - The error that caused the removal to fail.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function add({meter, error} = {}) {
+  const now = Date.now();
+  const {name, message} = error;
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne({'meter.id': meter.id}, {
+    $set: {'meta.updated': now, meter, error: {name, message}},
+    $setOnInsert: {'meta.created': now}
+  }, {upsert: true});
+}
+
+/**
+ * Records the webkms meter of a removed profile agent that was added to an
+ * existing profile, if it has one, and removes the meter from the profile's
+ * meters, so that the meter is removed by the next retry.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgent - The removed profile agent, with its
+ *   `id` and `profile`.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function addProfileAgentMeter({profileAgent} = {}) {
+  const profileMeterCollection = database.collections['profile-meter'];
+  const record = await profileMeterCollection.findOne({
+    'meter.profile': profileAgent.profile,
+    'meter.serviceType': 'webkms',
+    'meter.referenceId': getProfileAgentReferenceId(
+      {profileAgentId: profileAgent.id})
+  }, {projection: {_id: 0, 'meter.id': 1}});
+  if(!record) {
+    return;
+  }
+  const {meter: {id}} = record;
+  const now = Date.now();
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne({'meter.id': id}, {
+    $set: {'meta.updated': now, meter: {id}},
+    $setOnInsert: {'meta.created': now}
+  }, {upsert: true});
+  await profileMeterCollection.deleteOne({'meter.id': id});
+}
+
+/**
+ * Gets the `referenceId` of the profile meter record of the webkms meter
+ * created for a profile agent that was added to an existing profile. Unlike
+ * the profile's own meters, the application remains the controller of such
+ * a meter.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileAgentId - The ID of the profile agent.
+ *
+ * @returns {string} The `referenceId`.
+ */
+export function getProfileAgentReferenceId({profileAgentId} = {}) {
+  return `${PROFILE_AGENT_REFERENCE_PREFIX}${profileAgentId}:webkms`;
+}
+
+/**
+ * Returns whether a profile meter record is for the webkms meter of a
+ * profile agent that was added to an existing profile.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.meter - The meter of the profile meter record.
+ *
+ * @returns {boolean} `true` if the meter is a profile agent's meter.
+ */
+export function isProfileAgentMeter({meter} = {}) {
+  return meter.referenceId.startsWith(PROFILE_AGENT_REFERENCE_PREFIX);
+}
+
+/**
+ * Gets all recorded meters, least recently attempted first.
+ *
+ * @returns {Promise<Array>} Resolves to the recorded meters.
+ */
+export async function getAll() {
+  const collection = database.collections[COLLECTION_NAME];
+  const records = await collection.find(
+    {}, {projection: {_id: 0, meter: 1}})
+    .sort({'meta.updated': 1})
+    .toArray();
+  return records.map(({meter}) => meter);
+}
+
+/**
+ * Removes the record of a meter once it has been removed.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The full URL ID of the meter.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function remove({id} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.deleteOne({'meter.id': id});
+}
@@ -0,0 +1,154 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as meterCleanup from './meterCleanup.js';
+import {logger} from './logger.js';
+
+const {config, util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'profile-profileAgent';
+
+// query for profile agents that have not been deleted
+export const NOT_DELETED = {'profileAgent.deleted': {$exists: false}};
+
+let SWEEP_TIMER;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'profileAgent.deleted.purgeAfter': 1},
+    options: {unique: false, background: false, sparse: true}
+  }]);
+});
+
+bedrock.events.on('bedrock.ready', () => {
+  const {sweepInterval} = config['profile-http'].profileAgents.deletion;
+  SWEEP_TIMER = setInterval(() => {
+    sweep().catch(error => logger.error(
+      'Could not remove deleted profile agents.', {error}));
+  }, sweepInterval);
+  SWEEP_TIMER.unref();
+});
+
+bedrock.events.on('bedrock.stop', () => {
+  clearInterval(SWEEP_TIMER);
+});
+
+/**
+ * Returns whether a profile agent has been deleted.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgent - The profile agent.
+ *
+ * @returns {boolean} `true` if the profile agent has been deleted.
+ */
+export function isDeleted({profileAgent} = {}) {
+  return !!profileAgent.deleted;
+}
+
+/**
+ * Marks a profile agent as deleted. The profile agent is removed once the
+ * configured retention period has passed unless it is restored first.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileAgentId - The ID of the profile agent.
+ * @param {string} options.account - The ID of the account deleting the
+ *   profile agent.
+ *
+ * @returns {Promise<object>} Resolves to the updated profile agent record,
+ *   without secrets.
+ */
+export async function markDeleted({profileAgentId, account} = {}) {
+  const now = Date.now();
+  const {retention} = config['profile-http'].profileAgents.deletion;
+  return _update({
+    query: {'profileAgent.id': profileAgentId, ...NOT_DELETED},
+    update: {
+      $set: {
+        'meta.updated': now,
+        'profileAgent.deleted': {
+          date: now,
+          account,
+          purgeAfter: now + retention
+        }
+      },
+      $inc: {'profileAgent.sequence': 1}
+    },
+    profileAgentId
+  });
+}
+
+/**
+ * Restores a deleted profile agent that has not been removed yet.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileAgentId - The ID of the profile agent.
+ *
+ * @returns {Promise<object>} Resolves to the updated profile agent record,
+ *   without secrets.
+ */
+export async function restore({profileAgentId} = {}) {
+  return _update({
+    query: {
+      'profileAgent.id': profileAgentId,
+      'profileAgent.deleted.purgeAfter': {$gt: Date.now()}
+    },
+    update: {
+      $set: {'meta.updated': Date.now()},
+      $unset: {'profileAgent.deleted': ''},
+      $inc: {'profileAgent.sequence': 1}
+    },
+    profileAgentId
+  });
+}
+
+/**
+ * Removes every deleted profile agent whose retention period has passed.
+ * The webkms meter of a profile agent that was added to an existing profile
+ * is recorded so that it is removed by the next meter cleanup retry.
+ *
+ * @returns {Promise<number>} Resolves to the number of removed profile
+ *   agents.
+ */
+export async function sweep() {
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {'profileAgent.deleted.purgeAfter': {$lte: Date.now()}};
+  const records = await collection.find(query, {
+    projection: {_id: 0, 'profileAgent.id': 1, 'profileAgent.profile': 1}
+  }).toArray();
+  let count = 0;
+  for(const {profileAgent} of records) {
+    const result = await collection.deleteOne(
+      {...query, 'profileAgent.id': profileAgent.id});
+    // profile agent restored or removed concurrently
+    if(result.result.n === 0) {
+      continue;
+    }
+    await meterCleanup.addProfileAgentMeter({profileAgent});
+    count++;
+  }
+  return count;
+}
+
+async function _update({query, update, profileAgentId}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.findOneAndUpdate(query, update, {
+    projection: {_id: 0, secrets: 0},
+    promoteBuffers: true,
+    returnDocument: 'after'
+  });
+  if(!result.value) {
+    throw new BedrockError(
+      'Profile agent not found.',
+      'NotFoundError', {
+        id: profileAgentId,
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  return result.value;
+}
@@ -0,0 +1,133 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {getRole, MANAGER_ROLES} from './roles.js';
+import {NOT_DELETED} from './profileAgentDeletion.js';
+import {profileAgents} from '@bedrock/profile';
+
+const {util: {BedrockError}} = bedrock;
+
+/**
+ * Finds a page of the profile agents for an account.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.account - The ID of the account.
+ * @param {string} [options.profile] - The ID of a profile to filter by.
+ * @param {boolean} [options.claimed=true] - `true` to find profile agents
+ *   claimed by the account, `false` to find unclaimed profile agents for
+ *   profiles the account has an owner or admin profile agent for.
+ * @param {number} [options.createdAfter] - Only find profile agents created
+ *   after this time (in ms since the epoch).
+ * @param {string} [options.sort='created'] - `created` to sort by creation
+ *   time, oldest first, or `-created` for newest first.
+ * @param {number} options.limit - The maximum number of profile agents to
+ *   find.
+ * @param {string} [options.after] - The cursor returned with the previous
+ *   page.
+ *
+ * @returns {Promise<object>} Resolves to `{records, cursor}` where `cursor`
+ *   is only set if there are more records to find. Profile agents are
+ *   returned as `profileAgents.get` returns them, so, unlike
+ *   `profileAgents.getAll`, their zcaps are not auto-refreshed.
+ */
+export async function find({
+  account, profile, claimed = true, createdAfter, sort = 'created', limit,
+  after
+} = {}) {
+  const collection = database.collections['profile-profileAgent'];
+  const direction = sort === '-created' ? -1 : 1;
+  const $and = [NOT_DELETED];
+
+  if(claimed) {
+    $and.push({'profileAgent.account': account});
+  } else {
+    // only profiles the account may manage, so that unclaimed profile agent
+    // IDs are not revealed to any account that merely holds a profile agent
+    const managers = await collection.find({
+      'profileAgent.account': account,
+      ...NOT_DELETED
+    }, {
+      projection: {
+        _id: 0,
+        'profileAgent.profile': 1,
+        'profileAgent.role': 1,
+        'profileAgent.zcaps.profileCapabilityInvocationKey.id': 1
+      }
+    }).toArray();
+    const profiles = [...new Set(managers
+      .filter(({profileAgent}) => MANAGER_ROLES.includes(
+        getRole({profileAgent})))
+      .map(({profileAgent}) => profileAgent.profile))];
+    $and.push({
+      'profileAgent.account': null,
+      'profileAgent.profile': {$in: profiles}
+    });
+  }
+  if(profile !== undefined) {
+    $and.push({'profileAgent.profile': profile});
+  }
+  if(createdAfter !== undefined) {
+    $and.push({'meta.created': {$gt: createdAfter}});
+  }
+  if(after !== undefined) {
+    const {created, id} = _parseCursor(after);
+    const op = direction === 1 ? '$gt' : '$lt';
+    $and.push({
+      $or: [
+        {'meta.created': {[op]: created}},
+        {'meta.created': created, 'profileAgent.id': {[op]: id}}
+      ]
+    });
+  }
+
+  // get one extra record to determine if there is another page
+  const rawRecords = await collection.find({$and}, {
+    projection: {_id: 0, 'meta.created': 1, 'profileAgent.id': 1},
+    sort: {'meta.created': direction, 'profileAgent.id': direction},
+    limit: limit + 1
+  }).toArray();
+  const hasMore = rawRecords.length > limit;
+  if(hasMore) {
+    rawRecords.length = limit;
+  }
+
+  // get only the page's profile agents, which completes any incomplete
+  // provisioning
+  const records = (await Promise.all(rawRecords.map(async ({profileAgent}) => {
+    try {
+      return await profileAgents.get({id: profileAgent.id});
+    } catch(e) {
+      // profile agent was removed concurrently or because it was invalid
+      if(e.name === 'NotFoundError') {
+        return;
+      }
+      throw e;
+    }
+  }))).filter(r => r);
+
+  return {records, cursor: _getCursor({hasMore, rawRecords})};
+}
+
+function _getCursor({hasMore, rawRecords}) {
+  if(!hasMore) {
+    return;
+  }
+  const {meta: {created}, profileAgent: {id}} = rawRecords.at(-1);
+  return Buffer.from(JSON.stringify({created, id})).toString('base64url');
+}
+
+function _parseCursor(after) {
+  try {
+    const {created, id} = JSON.parse(
+      Buffer.from(after, 'base64url').toString('utf8'));
+    if(Number.isInteger(created) && typeof id === 'string') {
+      return {created, id};
+    }
+  } catch(e) {}
+  throw new BedrockError(
+    'The "after" cursor is invalid.',
+    'DataError',
+    {httpStatusCode: 400, public: true});
+}
@@ -0,0 +1,87 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+
+const {util: {BedrockError}} = bedrock;
+
+/**
+ * Gets the status of a profile agent. Profile agents without a stored
+ * status are active.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgent - The profile agent.
+ *
+ * @returns {string} The status: `active` or `suspended`.
+ */
+export function getStatus({profileAgent} = {}) {
+  return profileAgent.status ?? 'active';
+}
+
+/**
+ * Changes the status of a profile agent, incrementing its sequence.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileAgentId - The ID of the profile agent.
+ * @param {string} options.from - The status the profile agent must have.
+ * @param {string} options.to - The new status.
+ * @param {string} options.account - The ID of the account that changed the
+ *   status.
+ *
+ * @returns {Promise<object>} Resolves to the updated profile agent record,
+ *   without secrets.
+ */
+export async function setStatus({profileAgentId, from, to, account} = {}) {
+  const now = Date.now();
+  const query = {'profileAgent.id': profileAgentId};
+  // profile agents without a stored status are active
+  query['profileAgent.status'] = from === 'active' ?
+    {$in: [null, 'active']} : from;
+  const collection = database.collections['profile-profileAgent'];
+  const result = await collection.findOneAndUpdate(query, {
+    $set: {
+      'meta.updated': now,
+      'profileAgent.status': to,
+      'profileAgent.statusChange': {date: now, account}
+    },
+    $inc: {'profileAgent.sequence': 1}
+  }, {
+    projection: {_id: 0, secrets: 0},
+    promoteBuffers: true,
+    returnDocument: 'after'
+  });
+  if(result.value) {
+    return result.value;
+  }
+  throw new BedrockError(
+    `Profile agent not found or not "${from}".`,
+    'InvalidStateError', {
+      profileAgent: profileAgentId,
+      httpStatusCode: 409,
+      public: true
+    });
+}
+
+/**
+ * Ensures a profile agent is active.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgent - The profile agent.
+ *
+ * @returns {undefined} Returns or throws a `NotAllowedError` if the profile
+ *   agent is not active.
+ */
+export function assertActive({profileAgent} = {}) {
+  const status = getStatus({profileAgent});
+  if(status !== 'active') {
+    throw new BedrockError(
+      `The profile agent is ${status}.`,
+      'NotAllowedError', {
+        profileAgent: profileAgent.id,
+        status,
+        httpStatusCode: 403,
+        public: true
+      });
+  }
+}
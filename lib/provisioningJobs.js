@@ -0,0 +1,165 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {randomUUID} from 'node:crypto';
+
+const {config, util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'profile-http-provisioningJob';
+const UNFINISHED_STATUSES = ['pending', 'running'];
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'job.id': 1},
+    options: {unique: true, background: false}
+  }, {
+    // expire records automatically
+    collection: COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {unique: false, background: false, expireAfterSeconds: 0}
+  }]);
+});
+
+/**
+ * Creates a pending profile provisioning job for an account.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.account - The ID of the account the profile is
+ *   being provisioned for.
+ *
+ * @returns {Promise<object>} Resolves to the job.
+ */
+export async function create({account} = {}) {
+  const now = Date.now();
+  const {ttl} = config['profile-http'].provisioningJobs;
+  const job = {
+    id: randomUUID(),
+    account,
+    status: 'pending',
+    created: now,
+    updated: now
+  };
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.insertOne({
+    meta: {created: now, updated: now, expires: new Date(now + ttl)},
+    job
+  });
+  return {...job};
+}
+
+/**
+ * Gets a profile provisioning job. A pending or running job that has not
+ * been updated within the configured timeout is marked failed first.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the job.
+ * @param {string} options.account - The ID of the account the job is for.
+ *
+ * @returns {Promise<object>} Resolves to the job.
+ */
+export async function get({id, account} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const record = await collection.findOne(
+    {'job.id': id, 'job.account': account}, {projection: {_id: 0}});
+  if(!record) {
+    throw new BedrockError(
+      'Profile provisioning job not found.',
+      'NotFoundError', {
+        job: id,
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  const {job} = record;
+  if(_isStopped({job})) {
+    return _failStopped({job});
+  }
+  return job;
+}
+
+/**
+ * Updates the progress of a profile provisioning job. A job that has
+ * completed or failed, including one that has been marked failed because it
+ * timed out, is not updated.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the job.
+ * @param {string} options.account - The ID of the account the job is for.
+ * @param {string} options.status - The status of the job: `running`,
+ *   `complete`, or `failed`.
+ * @param {string} [options.step] - The provisioning step the job is running
+ *   or last ran.
+ * @param {object} [options.profile] - The provisioned profile, once the job
+ *   is complete.
+ * @param {object} [options.error] - The error that caused the job to fail.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function update({
+  id, account, status, step, profile, error
+} = {}) {
+  const now = Date.now();
+  const $set = {
+    'meta.updated': now,
+    'job.updated': now,
+    'job.status': status
+  };
+  if(step !== undefined) {
+    $set['job.step'] = step;
+  }
+  if(profile !== undefined) {
+    $set['job.profile'] = profile;
+  }
+  if(error !== undefined) {
+    $set['job.error'] = error;
+  }
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne({
+    'job.id': id,
+    'job.account': account,
+    'job.status': {$in: UNFINISHED_STATUSES}
+  }, {$set});
+}
+
+function _isStopped({job}) {
+  const {timeout} = config['profile-http'].provisioningJobs;
+  return UNFINISHED_STATUSES.includes(job.status) &&
+    job.updated < Date.now() - timeout;
+}
+
+// marks a job that has stopped progressing failed unless it has been
+// updated concurrently
+async function _failStopped({job}) {
+  const now = Date.now();
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.findOneAndUpdate({
+    'job.id': job.id,
+    'job.status': job.status,
+    'job.updated': job.updated
+  }, {
+    $set: {
+      'meta.updated': now,
+      'job.updated': now,
+      'job.status': 'failed',
+      'job.error': {
+        step: job.step,
+        name: 'TimeoutError',
+        message: 'The profile provisioning job stopped unexpectedly.'
+      }
+    }
+  }, {
+    projection: {_id: 0, job: 1},
+    returnDocument: 'after'
+  });
+  if(result.value) {
+    return result.value.job;
+  }
+  const record = await collection.findOne(
+    {'job.id': job.id}, {projection: {_id: 0, job: 1}});
+  return record.job;
+}
@@ -0,0 +1,77 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {NOT_DELETED} from './profileAgentDeletion.js';
+
+const {config, util: {BedrockError}} = bedrock;
+
+/**
+ * Ensures an account may have another profile.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.account - The ID of the account.
+ * @param {string} [options.profileId] - The ID of the profile the account
+ *   would have; if the account already has this profile, it does not count
+ *   as another profile.
+ *
+ * @returns {Promise} Resolves once the operation completes or rejects with a
+ *   `QuotaExceededError` if the account has reached its profile quota.
+ */
+export async function assertProfileQuota({account, profileId} = {}) {
+  const {maxProfiles} = _getQuotas({account});
+  if(typeof maxProfiles !== 'number') {
+    return;
+  }
+  const collection = database.collections['profile-profileAgent'];
+  const profiles = await collection.distinct(
+    'profileAgent.profile', {'profileAgent.account': account, ...NOT_DELETED});
+  if(profileId && profiles.includes(profileId)) {
+    return;
+  }
+  if(profiles.length >= maxProfiles) {
+    _throwQuotaExceededError({quota: 'maxProfiles', limit: maxProfiles});
+  }
+}
+
+/**
+ * Ensures an account may have another profile agent.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.account - The ID of the account.
+ *
+ * @returns {Promise} Resolves once the operation completes or rejects with a
+ *   `QuotaExceededError` if the account has reached its profile agent quota.
+ */
+export async function assertProfileAgentQuota({account} = {}) {
+  const {maxProfileAgents} = _getQuotas({account});
+  if(typeof maxProfileAgents !== 'number') {
+    return;
+  }
+  const collection = database.collections['profile-profileAgent'];
+  const count = await collection.countDocuments(
+    {'profileAgent.account': account, ...NOT_DELETED});
+  if(count >= maxProfileAgents) {
+    _throwQuotaExceededError(
+      {quota: 'maxProfileAgents', limit: maxProfileAgents});
+  }
+}
+
+function _getQuotas({account}) {
+  const {quotas} = config['profile-http'];
+  const {maxProfiles, maxProfileAgents} = quotas;
+  return {maxProfiles, maxProfileAgents, ...quotas.accounts?.[account]};
+}
+
+function _throwQuotaExceededError({quota, limit}) {
+  const {upgradeUrl} = config['profile-http'].quotas;
+  const details = {httpStatusCode: 403, public: true, quota, limit};
+  if(upgradeUrl) {
+    details.upgradeUrl = upgradeUrl;
+  }
+  throw new BedrockError(
+    `The account has reached its quota of ${limit} ` +
+    (quota === 'maxProfiles' ? 'profiles.' : 'profile agents.'),
+    'QuotaExceededError', details);
+}
@@ -0,0 +1,145 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+
+const {util: {BedrockError}} = bedrock;
+
+// roles that may manage other profile agents of the same profile
+export const MANAGER_ROLES = ['owner', 'admin'];
+
+// all roles, highest first
+export const ROLES = ['owner', 'admin', 'member'];
+
+/**
+ * Gets the role of a profile agent. Profile agents created before roles
+ * were stored are owners if they hold the profile's capability invocation
+ * zcap and members otherwise.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgent - The profile agent.
+ *
+ * @returns {string} The role: `owner`, `admin`, or `member`.
+ */
+export function getRole({profileAgent} = {}) {
+  if(profileAgent.role) {
+    return profileAgent.role;
+  }
+  return profileAgent.zcaps?.profileCapabilityInvocationKey ?
+    'owner' : 'member';
+}
+
+/**
+ * Sets the role of a profile agent, incrementing its sequence.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileAgentId - The ID of the profile agent.
+ * @param {string} options.role - The role: `owner`, `admin`, or `member`.
+ *
+ * @returns {Promise<object>} Resolves to the updated profile agent record,
+ *   without secrets.
+ */
+export async function setRole({profileAgentId, role} = {}) {
+  const collection = database.collections['profile-profileAgent'];
+  const result = await collection.findOneAndUpdate(
+    {'profileAgent.id': profileAgentId}, {
+      $set: {'meta.updated': Date.now(), 'profileAgent.role': role},
+      $inc: {'profileAgent.sequence': 1}
+    }, {
+      projection: {_id: 0, secrets: 0},
+      promoteBuffers: true,
+      returnDocument: 'after'
+    });
+  if(!result.value) {
+    throw new BedrockError(
+      'Profile agent not found.',
+      'NotFoundError', {
+        id: profileAgentId,
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  return result.value;
+}
+
+/**
+ * Ensures a profile agent has one of the given roles.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgent - The profile agent.
+ * @param {Array<string>} options.roles - The permitted roles.
+ *
+ * @returns {undefined} Returns or throws a `NotAllowedError` if the profile
+ *   agent does not have a permitted role.
+ */
+export function assertRole({profileAgent, roles} = {}) {
+  const role = getRole({profileAgent});
+  if(!roles.includes(role)) {
+    throw new BedrockError(
+      'The profile agent\'s role does not permit this operation.',
+      'NotAllowedError', {
+        role,
+        requiredRoles: roles,
+        httpStatusCode: 403,
+        public: true
+      });
+  }
+}
+
+/**
+ * Ensures a profile agent may manage profile agents that have, or will be
+ * given, the given roles. Owners and admins may manage other profile agents,
+ * but only owners may manage owners.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgent - The managing profile agent.
+ * @param {Array<string>} options.roles - The roles of the managed profile
+ *   agent before and after the operation.
+ *
+ * @returns {undefined} Returns or throws a `NotAllowedError`.
+ */
+export function assertCanManage({profileAgent, roles} = {}) {
+  assertRole({
+    profileAgent,
+    roles: roles.includes('owner') ? ['owner'] : MANAGER_ROLES
+  });
+}
+
+/**
+ * Ensures a profile agent may delegate or hold the given capabilities.
+ * Members may only delegate or hold read-only capabilities.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgent - The profile agent.
+ * @param {Array<object>} options.capabilities - The capabilities.
+ *
+ * @returns {undefined} Returns or throws a `NotAllowedError`.
+ */
+export function assertCanUseCapabilities({profileAgent, capabilities} = {}) {
+  if(getRole({profileAgent}) !== 'member') {
+    return;
+  }
+  const writable = capabilities.filter(zcap => !_isReadOnly(zcap));
+  if(writable.length > 0) {
+    throw new BedrockError(
+      'Profile agents with the "member" role may only use read-only ' +
+      'capabilities.',
+      'NotAllowedError', {
+        role: 'member',
+        capabilities: writable.map(({id}) => id),
+        httpStatusCode: 403,
+        public: true
+      });
+  }
+}
+
+// a zcap without `allowedAction` permits every action
+function _isReadOnly({allowedAction} = {}) {
+  if(allowedAction === undefined) {
+    return false;
+  }
+  const actions = Array.isArray(allowedAction) ?
+    allowedAction : [allowedAction];
+  return actions.every(action => action === 'read');
+}
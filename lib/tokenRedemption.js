@@ -0,0 +1,162 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {createHash, timingSafeEqual} from 'node:crypto';
+
+const {config, util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'profile-http-tokenRedemptionAttempt';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'attempts.profileAgent': 1, 'attempts.window': 1},
+    options: {unique: true, background: false}
+  }, {
+    // expire records automatically
+    collection: COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {unique: false, background: false, expireAfterSeconds: 0}
+  }]);
+});
+
+/**
+ * Ensures that the number of failed attempts to redeem a profile agent's
+ * token in the current window has not reached the configured maximum.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileAgentId - The ID of the profile agent.
+ *
+ * @returns {Promise} Resolves once the operation completes or rejects with a
+ *   `NotAllowedError` (429) if too many attempts have failed.
+ */
+export async function assertNotRateLimited({profileAgentId} = {}) {
+  const {maxFailedAttempts} = config['profile-http'].tokenRedemption;
+  const {window, expires} = _getWindow();
+  const collection = database.collections[COLLECTION_NAME];
+  const record = await collection.findOne(
+    {'attempts.profileAgent': profileAgentId, 'attempts.window': window},
+    {projection: {_id: 0, attempts: 1}});
+  if(record && record.attempts.count >= maxFailedAttempts) {
+    throw new BedrockError(
+      'Too many failed attempts to redeem profile agent.',
+      'NotAllowedError', {
+        profileAgent: profileAgentId,
+        retryAfter: Math.ceil((expires - Date.now()) / 1000),
+        httpStatusCode: 429,
+        public: true
+      });
+  }
+}
+
+/**
+ * Records a failed attempt to redeem a profile agent's token.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileAgentId - The ID of the profile agent.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function addFailedAttempt({profileAgentId} = {}) {
+  const {window, expires} = _getWindow();
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {
+    'attempts.profileAgent': profileAgentId,
+    'attempts.window': window
+  };
+  const update = {
+    $inc: {'attempts.count': 1},
+    $setOnInsert: {'meta.created': Date.now(), 'meta.expires': expires}
+  };
+  try {
+    await collection.updateOne(query, update, {upsert: true});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // a concurrent failed attempt inserted the record first
+    await collection.updateOne(query, update);
+  }
+}
+
+/**
+ * Compares a presented token against the token stored with a profile agent
+ * in constant time.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgentRecord - The profile agent record,
+ *   including its secrets.
+ * @param {string} options.token - The presented token.
+ *
+ * @returns {boolean} `true` if the profile agent has a token that matches
+ *   the presented token, `false` if not.
+ */
+export function verifyToken({profileAgentRecord, token} = {}) {
+  const {token: expected} = profileAgentRecord.secrets || {};
+  if(typeof expected !== 'string') {
+    return false;
+  }
+  // hash both tokens so they are compared with equal lengths
+  return timingSafeEqual(_hash(expected), _hash(token));
+}
+
+/**
+ * Claims a token-bound profile agent for an account and clears its token so
+ * it cannot be redeemed again.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgentRecord - The profile agent record,
+ *   including its secrets.
+ * @param {string} options.account - The ID of the account to claim the
+ *   profile agent for.
+ *
+ * @returns {Promise} Resolves once the operation completes or rejects with
+ *   an `InvalidStateError` if the profile agent changed since it was read.
+ */
+export async function claim({profileAgentRecord, account} = {}) {
+  const {profileAgent, secrets: {token}} = profileAgentRecord;
+  const collection = database.collections['profile-profileAgent'];
+  // the token and sequence must be unchanged and the profile agent must be
+  // unclaimed so the token is redeemed once and never takes a claimed
+  // profile agent from its account
+  const result = await collection.updateOne({
+    'profileAgent.id': profileAgent.id,
+    'profileAgent.sequence': profileAgent.sequence,
+    'profileAgent.account': null,
+    'secrets.token': token
+  }, {
+    $set: {
+      'meta.updated': Date.now(),
+      profileAgent: {
+        ...profileAgent,
+        sequence: profileAgent.sequence + 1,
+        account
+      }
+    },
+    $unset: {'secrets.token': ''}
+  });
+  if(result.result.n === 0) {
+    throw new BedrockError(
+      'Could not redeem profile agent; ' +
+      'profile agent either not found or changed.',
+      'InvalidStateError', {
+        profileAgent: profileAgent.id,
+        httpStatusCode: 409,
+        public: true
+      });
+  }
+}
+
+function _getWindow() {
+  const {window: duration} = config['profile-http'].tokenRedemption;
+  const window = Math.floor(Date.now() / duration) * duration;
+  return {window, expires: new Date(window + duration)};
+}
+
+function _hash(value) {
+  return createHash('sha256').update(value, 'utf8').digest();
+}
@@ -0,0 +1,205 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {randomUUID} from 'node:crypto';
+
+const {util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'profile-http-profileAgentTransfer';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'transfer.id': 1},
+    options: {unique: true, background: false}
+  }, {
+    // only one pending transfer per profile agent
+    collection: COLLECTION_NAME,
+    fields: {'transfer.profileAgent': 1},
+    options: {
+      unique: true,
+      background: false,
+      name: 'transfer.profileAgent.pending',
+      partialFilterExpression: {'transfer.status': 'pending'}
+    }
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {'transfer.profileAgent': 1, 'transfer.created': 1},
+    options: {unique: false, background: false}
+  }]);
+});
+
+/**
+ * Starts transferring a profile agent from one account to another.
+ * Transfer records are kept after they are accepted or cancelled so that
+ * transfers can be audited.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileAgent - The ID of the profile agent.
+ * @param {string} options.from - The ID of the account that holds the
+ *   profile agent.
+ * @param {string} options.to - The ID of the account to transfer the
+ *   profile agent to.
+ *
+ * @returns {Promise<object>} Resolves to the pending transfer.
+ */
+export async function create({profileAgent, from, to} = {}) {
+  const now = Date.now();
+  const transfer = {
+    id: randomUUID(),
+    profileAgent,
+    from,
+    to,
+    status: 'pending',
+    created: now,
+    updated: now
+  };
+  const collection = database.collections[COLLECTION_NAME];
+  try {
+    await collection.insertOne({meta: {created: now, updated: now}, transfer});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw new BedrockError(
+      'The profile agent already has a pending transfer.',
+      'DuplicateError', {
+        profileAgent,
+        httpStatusCode: 409,
+        public: true
+      }, e);
+  }
+  return {...transfer};
+}
+
+/**
+ * Gets all transfers of a profile agent that an account is a party to,
+ * oldest first.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileAgent - The ID of the profile agent.
+ * @param {string} options.account - The ID of the account.
+ *
+ * @returns {Promise<Array>} Resolves to the transfers.
+ */
+export async function getAll({profileAgent, account} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const records = await collection.find({
+    'transfer.profileAgent': profileAgent,
+    $or: [{'transfer.from': account}, {'transfer.to': account}]
+  }, {projection: {_id: 0, transfer: 1}})
+    .sort({'transfer.created': 1})
+    .toArray();
+  return records.map(({transfer}) => transfer);
+}
+
+/**
+ * Marks a pending transfer as accepted by the account it is to.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the transfer.
+ * @param {string} options.profileAgent - The ID of the profile agent.
+ * @param {string} options.account - The ID of the accepting account.
+ *
+ * @returns {Promise<object>} Resolves to the accepted transfer.
+ */
+export async function accept({id, profileAgent, account} = {}) {
+  return _setStatus({
+    id, profileAgent,
+    query: {'transfer.to': account},
+    from: 'pending', to: 'accepted',
+    $set: {'transfer.accepted': Date.now()}
+  });
+}
+
+/**
+ * Returns an accepted transfer to pending when the profile agent could not
+ * be transferred.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the transfer.
+ * @param {string} options.profileAgent - The ID of the profile agent.
+ *
+ * @returns {Promise<object>} Resolves to the pending transfer.
+ */
+export async function abortAccept({id, profileAgent} = {}) {
+  return _setStatus({
+    id, profileAgent, from: 'accepted', to: 'pending',
+    $unset: {'transfer.accepted': ''}
+  });
+}
+
+/**
+ * Cancels a pending transfer. Either account that is a party to the
+ * transfer may cancel it.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the transfer.
+ * @param {string} options.profileAgent - The ID of the profile agent.
+ * @param {string} options.account - The ID of the cancelling account.
+ *
+ * @returns {Promise<object>} Resolves to the cancelled transfer.
+ */
+export async function cancel({id, profileAgent, account} = {}) {
+  return _setStatus({
+    id, profileAgent,
+    query: {$or: [{'transfer.from': account}, {'transfer.to': account}]},
+    from: 'pending', to: 'cancelled',
+    $set: {'transfer.cancelled': Date.now(), 'transfer.cancelledBy': account}
+  });
+}
+
+async function _setStatus({
+  id, profileAgent, query = {}, from, to, $set = {}, $unset
+}) {
+  const now = Date.now();
+  query = {
+    ...query,
+    'transfer.id': id,
+    'transfer.profileAgent': profileAgent
+  };
+  const update = {
+    $set: {
+      ...$set,
+      'meta.updated': now,
+      'transfer.updated': now,
+      'transfer.status': to
+    }
+  };
+  if($unset) {
+    update.$unset = $unset;
+  }
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.findOneAndUpdate(
+    {...query, 'transfer.status': from}, update, {
+      projection: {_id: 0, transfer: 1},
+      returnDocument: 'after'
+    });
+  if(result.value) {
+    return result.value.transfer;
+  }
+
+  // determine whether the transfer does not exist or is in another state
+  const record = await collection.findOne(query, {projection: {_id: 0}});
+  if(!record) {
+    throw new BedrockError(
+      'Transfer not found.',
+      'NotFoundError', {
+        transfer: id,
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  throw new BedrockError(
+    `Transfer is "${record.transfer.status}".`,
+    'InvalidStateError', {
+      transfer: id,
+      status: record.transfer.status,
+      httpStatusCode: 409,
+      public: true
+    });
+}
@@ -0,0 +1,80 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as controllerRules from './controllerRules.js';
+
+const {config, util: {BedrockError}} = bedrock;
+
+/**
+ * Gets the `expires` for a zcap delegated from the given zcap. The delegated
+ * zcap expires at the requested time, after the requested TTL, or after the
+ * configured default TTL. It never expires later than the maximum TTL for
+ * its controller or later than the given zcap.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.zcap - The zcap to delegate.
+ * @param {string|Array<string>} options.controller - The controller of the
+ *   delegated zcap.
+ * @param {string} [options.expires] - The requested expiration date.
+ * @param {number} [options.ttl] - The requested TTL in milliseconds.
+ * @param {number} [options.now=Date.now()] - The current time.
+ *
+ * @returns {string} The expiration date as an ISO string.
+ */
+export function getDelegatedZcapExpires({
+  zcap, controller, expires, ttl, now = Date.now()
+} = {}) {
+  if(expires !== undefined && ttl !== undefined) {
+    throw new BedrockError(
+      'Only one of "expires" or "ttl" may be given.',
+      'DataError', {
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+  const cfg = config['profile-http'].zcap;
+  let requested = now + cfg.ttl;
+  if(expires !== undefined) {
+    requested = Date.parse(expires);
+  } else if(ttl !== undefined) {
+    requested = now + ttl;
+  }
+  if(!(requested > now)) {
+    throw new BedrockError(
+      'The requested expiration must be in the future.',
+      'DataError', {
+        expires,
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+
+  const maxTtl = getMaxTtl({controller});
+  const limits = [requested, now + maxTtl];
+  if(zcap.expires) {
+    limits.push(Date.parse(zcap.expires));
+  }
+  return new Date(Math.min(...limits)).toISOString();
+}
+
+/**
+ * Gets the maximum TTL for zcaps delegated to a controller. The first
+ * configured controller policy that matches the controller applies; if the
+ * controller is an array, the lowest maximum TTL of its controllers applies.
+ *
+ * @param {object} options - The options to use.
+ * @param {string|Array<string>} options.controller - The controller.
+ *
+ * @returns {number} The maximum TTL in milliseconds.
+ */
+export function getMaxTtl({controller} = {}) {
+  const controllers = Array.isArray(controller) ? controller : [controller];
+  return Math.min(...controllers.map(_getControllerMaxTtl));
+}
+
+function _getControllerMaxTtl(controller) {
+  const {maxTtl, controllers = []} = config['profile-http'].zcap;
+  const policy = controllerRules.find({rules: controllers, controller});
+  return policy?.maxTtl ?? maxTtl;
+}
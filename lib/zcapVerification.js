@@ -0,0 +1,114 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {
+  CapabilityDelegation, createRootCapability, constants as zcapConstants
+} from '@digitalbazaar/zcap';
+import {documentLoader as brDocumentLoader} from
+  '@bedrock/jsonld-document-loader';
+import {didIo} from '@bedrock/did-io';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import jsigs from 'jsonld-signatures';
+
+const {util: {BedrockError}} = bedrock;
+
+const {ZCAP_ROOT_PREFIX} = zcapConstants;
+
+/**
+ * Verifies zcaps before they are stored in a profile agent's capability set.
+ * Each zcap must be controlled by the profile agent, must have an
+ * expiration date that has not passed, and must have a valid delegation
+ * chain from a root zcap controlled by the profile or the profile agent.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgent - The profile agent.
+ * @param {object} options.zcaps - The zcaps to verify, keyed by name.
+ *
+ * @returns {Promise} Resolves once the operation completes or rejects with a
+ *   `DataError` whose details include an error for each rejected zcap.
+ */
+export async function verifyCapabilities({profileAgent, zcaps} = {}) {
+  const results = await Promise.all(Object.entries(zcaps).map(
+    async ([name, zcap]) => {
+      const error = await _verifyCapability({profileAgent, zcap});
+      return error && {name, zcap: zcap.id, ...error};
+    }));
+  const errors = results.filter(error => error);
+  if(errors.length > 0) {
+    throw new BedrockError(
+      `${errors.length} zcap(s) could not be verified.`,
+      'DataError', {
+        errors,
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+}
+
+async function _verifyCapability({profileAgent, zcap}) {
+  const controllers = Array.isArray(zcap.controller) ?
+    zcap.controller : [zcap.controller];
+  if(!controllers.includes(profileAgent.id)) {
+    return {
+      reason: 'controllerMismatch',
+      message: 'The zcap is not controlled by the profile agent.'
+    };
+  }
+  if(zcap.expires === undefined) {
+    return {
+      reason: 'missingExpires',
+      message: 'The zcap has no expiration date.'
+    };
+  }
+  if(!(Date.parse(zcap.expires) > Date.now())) {
+    return {
+      reason: 'expired',
+      message: 'The zcap has expired or has an invalid expiration date.'
+    };
+  }
+
+  const [rootCapability] = zcap.proof?.capabilityChain ?? [];
+  if(!(typeof rootCapability === 'string' &&
+    rootCapability.startsWith(ZCAP_ROOT_PREFIX))) {
+    return {
+      reason: 'invalidProof',
+      message: 'The zcap does not have a delegation proof with a root zcap.'
+    };
+  }
+
+  // the root zcap is for a service object, such as a keystore or EDV,
+  // controlled by the profile or the profile agent
+  const rootZcap = createRootCapability({
+    controller: [profileAgent.profile, profileAgent.id],
+    invocationTarget: decodeURIComponent(
+      rootCapability.slice(ZCAP_ROOT_PREFIX.length))
+  });
+  const documentLoader = async url => {
+    if(url === rootZcap.id) {
+      return {contextUrl: null, documentUrl: url, document: rootZcap};
+    }
+    if(url.startsWith('did:')) {
+      const document = await didIo.get({url});
+      return {contextUrl: null, documentUrl: url, document};
+    }
+    return brDocumentLoader(url);
+  };
+  const suite = new Ed25519Signature2020();
+  const {verified, error} = await jsigs.verify(zcap, {
+    documentLoader,
+    purpose: new CapabilityDelegation({
+      allowTargetAttenuation: true,
+      expectedRootCapability: rootZcap.id,
+      suite
+    }),
+    suite
+  });
+  if(!verified) {
+    return {
+      reason: 'invalidProof',
+      message: 'The zcap\'s delegation chain could not be verified: ' +
+        (error?.errors?.[0]?.message ?? error?.message)
+    };
+  }
+}
@@ -11,6 +11,35 @@ const profile = {
   type: 'string'
 };
 
+const w3cDateTime = {
+  title: 'W3C Date/Time',
+  description: 'A W3C-formatted date and time combination.',
+  type: 'string',
+  pattern: '^[1-9][0-9]{3}-(0[1-9]|1[0-2])-([0-2][0-9]|3[0-1])' +
+    'T([0-1][0-9]|2[0-3]):([0-5][0-9]):(([0-5][0-9])|60)(\\.[0-9]+)?' +
+    '(Z|((\\+|-)([0-1][0-9]|2[0-3]):([0-5][0-9])))?$',
+  errors: {
+    invalid: 'The date/time must be of the W3C date/time format ' +
+      '"YYYY-MM-DD( |T)HH:MM:SS.s(Z|(+|-)TZOFFSET)".',
+    missing: 'Please enter a date/time.'
+  }
+};
+
+const productId = {
+  title: 'Product ID',
+  type: 'string'
+};
+
+const products = {
+  title: 'Products',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    edv: productId,
+    webkms: productId
+  }
+};
+
 // this should match query objects with an account in them
 const accountQuery = {
   title: 'Account Query',
@@ -30,6 +59,25 @@ const accountQuery = {
   }
 };
 
+const createProfile = {
+  title: 'Create Profile',
+  type: 'object',
+  required: ['account'],
+  additionalProperties: false,
+  properties: {
+    account,
+    didMethod: {
+      title: 'didMethod',
+      type: 'string'
+    },
+    didOptions: {
+      title: 'didOptions',
+      type: 'object'
+    },
+    products
+  }
+};
+
 const profileAgent = {
   title: 'Profile Agent',
   type: 'object',
@@ -38,6 +86,87 @@ const profileAgent = {
   properties: {
     account,
     profile,
+    token: {
+      title: 'Token',
+      type: 'string'
+    },
+    products: {
+      ...products,
+      properties: {
+        webkms: productId
+      }
+    }
+  }
+};
+
+const role = {
+  title: 'Role',
+  type: 'string',
+  enum: ['owner', 'admin', 'member']
+};
+
+const invitation = {
+  title: 'Invitation',
+  type: 'object',
+  required: ['account', 'invitee'],
+  additionalProperties: false,
+  properties: {
+    account,
+    invitee: {
+      ...account,
+      title: 'Invitee'
+    },
+    role
+  }
+};
+
+const profileAgentRole = {
+  title: 'Profile Agent Role',
+  type: 'object',
+  required: ['account', 'role'],
+  additionalProperties: false,
+  properties: {
+    account,
+    role
+  }
+};
+
+const transfer = {
+  title: 'Profile Agent Transfer',
+  type: 'object',
+  required: ['account', 'recipient'],
+  additionalProperties: false,
+  properties: {
+    account,
+    recipient: {
+      ...account,
+      title: 'Recipient'
+    }
+  }
+};
+
+const delegationsQuery = {
+  title: 'Delegations Query',
+  type: 'object',
+  required: ['account'],
+  additionalProperties: false,
+  properties: {
+    account,
+    status: {
+      title: 'Status',
+      type: 'string',
+      enum: ['active', 'revoked']
+    }
+  }
+};
+
+const redeemProfileAgent = {
+  title: 'Redeem Profile Agent',
+  type: 'object',
+  required: ['account', 'token'],
+  additionalProperties: false,
+  properties: {
+    account,
     token: {
       title: 'Token',
       type: 'string'
@@ -51,7 +180,27 @@ const profileAgents = {
   additionalProperties: false,
   properties: {
     account,
-    profile
+    profile,
+    claimed: {
+      title: 'Claimed',
+      type: 'string',
+      enum: ['true', 'false']
+    },
+    createdAfter: w3cDateTime,
+    sort: {
+      title: 'Sort',
+      type: 'string',
+      enum: ['created', '-created']
+    },
+    limit: {
+      title: 'Limit',
+      type: 'string',
+      pattern: '^[1-9][0-9]{0,5}$'
+    },
+    after: {
+      title: 'After',
+      type: 'string'
+    }
   }
 };
 
@@ -113,19 +262,7 @@ const zcap = {
       title: 'Proof',
       type: 'object'
     },
-    expires: {
-      title: 'W3C Date/Time',
-      description: 'A W3C-formatted date and time combination.',
-      type: 'string',
-      pattern: '^[1-9][0-9]{3}-(0[1-9]|1[0-2])-([0-2][0-9]|3[0-1])' +
-        'T([0-1][0-9]|2[0-3]):([0-5][0-9]):(([0-5][0-9])|60)(\\.[0-9]+)?' +
-        '(Z|((\\+|-)([0-1][0-9]|2[0-3]):([0-5][0-9])))?$',
-      errors: {
-        invalid: 'The date/time must be of the W3C date/time format ' +
-          '"YYYY-MM-DD( |T)HH:MM:SS.s(Z|(+|-)TZOFFSET)".',
-        missing: 'Please enter a date/time.'
-      }
-    }
+    expires: w3cDateTime
   }
 };
 
@@ -142,30 +279,223 @@ const zcaps = {
   }
 };
 
+const capabilitySetQuery = {
+  title: 'Capability Set Query',
+  type: 'object',
+  required: ['account'],
+  additionalProperties: false,
+  properties: {
+    account,
+    // only zcaps whose invocation target is this target or narrower
+    invocationTarget: {
+      title: 'Invocation Target',
+      type: 'string'
+    },
+    // only zcaps that expire within this many milliseconds
+    expiresWithin: {
+      title: 'Expires Within',
+      type: 'string',
+      pattern: '^[0-9]{1,15}$'
+    }
+  }
+};
+
+// milliseconds, in a query string
+const within = {
+  title: 'Within',
+  type: 'string',
+  pattern: '^[0-9]{1,15}$'
+};
+
+const expiringCapabilitiesQuery = {
+  title: 'Expiring Capabilities Query',
+  type: 'object',
+  required: ['account'],
+  additionalProperties: false,
+  properties: {
+    account,
+    within
+  }
+};
+
+const zcapName = {
+  title: 'zcap Name',
+  type: 'string',
+  minLength: 1
+};
+
+const refreshCapabilities = {
+  title: 'Refresh Capabilities',
+  type: 'object',
+  required: ['account'],
+  additionalProperties: false,
+  properties: {
+    account,
+    // milliseconds
+    within: {
+      title: 'Within',
+      type: 'integer',
+      minimum: 0
+    },
+    // only refresh these zcaps
+    names: {
+      title: 'Names',
+      type: 'array',
+      minItems: 1,
+      maxItems: 100,
+      items: zcapName
+    }
+  }
+};
+
+// incremental update of a capability set; operations are applied in order
+const capabilitySetPatch = {
+  title: 'Capability Set Patch',
+  type: 'object',
+  required: ['operations'],
+  additionalProperties: false,
+  properties: {
+    // expected current sequence of the profile agent
+    sequence: {
+      title: 'Sequence',
+      type: 'integer',
+      minimum: 0
+    },
+    operations: {
+      title: 'Operations',
+      type: 'array',
+      minItems: 1,
+      maxItems: 100,
+      items: {
+        oneOf: [{
+          type: 'object',
+          required: ['op', 'name', 'zcap'],
+          additionalProperties: false,
+          properties: {
+            op: {
+              type: 'string',
+              enum: ['add', 'replace']
+            },
+            name: zcapName,
+            zcap
+          }
+        }, {
+          type: 'object',
+          required: ['op', 'name'],
+          additionalProperties: false,
+          properties: {
+            op: {
+              type: 'string',
+              enum: ['remove']
+            },
+            name: zcapName
+          }
+        }]
+      }
+    }
+  }
+};
+
+const controller = {
+  anyOf: [{
+    type: 'string'
+  }, {
+    type: 'array',
+    minItems: 1,
+    items: {type: 'string'}
+  }]
+};
+
+// requested expiration of a delegated zcap
+const expires = w3cDateTime;
+
+// requested time to live, in milliseconds, of a delegated zcap
+const ttl = {
+  title: 'TTL',
+  type: 'integer',
+  minimum: 1
+};
+
+// actions the delegated zcap allows; must be a subset of the actions the
+// delegated-from zcap allows
+const allowedAction = {
+  anyOf: [{
+    type: 'string'
+  }, {
+    type: 'array',
+    minItems: 1,
+    items: {type: 'string'}
+  }]
+};
+
+// invocation target of the delegated zcap; must be the delegated-from zcap's
+// invocation target or narrower
+const invocationTarget = {
+  title: 'Invocation Target',
+  type: 'string'
+};
+
 const delegateCapability = {
   title: 'Delegate Capability',
   type: 'object',
-  required: ['controller', 'account', 'zcap'],
+  required: ['account'],
+  // either a single `zcap` and its `controller` or a batch of `delegations`;
+  // `allowedAction` and `invocationTarget` only apply to a single `zcap`
+  oneOf: [{
+    required: ['controller', 'zcap']
+  }, {
+    required: ['delegations'],
+    not: {
+      anyOf: [{required: ['allowedAction']}, {required: ['invocationTarget']}]
+    }
+  }],
   additionalProperties: false,
   properties: {
     account,
-    controller: {
-      anyOf: [{
-        type: 'string'
-      }, {
-        type: 'array',
-        minItems: 1,
-        items: {type: 'string'}
-      }]
-    },
-    zcap
+    controller,
+    zcap,
+    expires,
+    ttl,
+    allowedAction,
+    invocationTarget,
+    delegations: {
+      title: 'Delegations',
+      type: 'array',
+      minItems: 1,
+      maxItems: 100,
+      items: {
+        title: 'Delegation',
+        type: 'object',
+        required: ['zcap'],
+        additionalProperties: false,
+        properties: {
+          // defaults to the top-level `controller`
+          controller,
+          zcap,
+          expires,
+          ttl,
+          allowedAction,
+          invocationTarget
+        }
+      }
+    }
   }
 };
 
 export {
   profileAgent,
   profileAgents,
+  profileAgentRole,
   accountQuery,
+  capabilitySetPatch,
+  capabilitySetQuery,
+  createProfile,
   delegateCapability,
+  delegationsQuery,
+  expiringCapabilitiesQuery,
+  invitation,
+  redeemProfileAgent,
+  refreshCapabilities,
+  transfer,
   zcaps
 };
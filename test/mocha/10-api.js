@@ -2,7 +2,7 @@
  * Copyright (c) 2020-2022 Digital Bazaar, Inc. All rights reserved.
  */
 import * as helpers from './helpers.js';
-import {config} from '@bedrock/core';
+import {config, events} from '@bedrock/core';
 // apisauce is a wrapper around axios that provides improved error handling
 import {create} from 'apisauce';
 import https from 'node:https';
@@ -112,27 +112,120 @@ describe('bedrock-profile-http', () => {
       should.exist(result);
       result.status.should.equal(500);
     });
-    it('throws error when there is no account', async () => {
-      let account;
+    it('removes created meters when profile creation fails', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'not-v1-or-key';
+      const meterCount = await helpers.countRecords('meter-meter');
+
+      const result = await api.post('/profiles', {account, didMethod});
+
+      should.exist(result);
+      result.status.should.equal(500);
+      const newMeterCount = await helpers.countRecords('meter-meter');
+      newMeterCount.should.equal(meterCount);
+      const cleanupCount = await helpers.countRecords(
+        'profile-http-meterCleanup');
+      cleanupCount.should.equal(0);
+    });
+    it('returns the original profile for a repeated Idempotency-Key',
+      async () => {
+        const {account: {id: account}} = accounts['alpha@example.com'];
+        const didMethod = 'key';
+        const headers = {'Idempotency-Key': 'b9a5b0b6-profile-1'};
+        let result0;
+        let result1;
+        let error;
+        try {
+          result0 = await api.post(
+            '/profiles', {account, didMethod}, {headers});
+          result1 = await api.post(
+            '/profiles', {account, didMethod}, {headers});
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        result0.status.should.equal(200);
+        result1.status.should.equal(200);
+        result1.data.id.should.equal(result0.data.id);
+        result1.headers['idempotent-replayed'].should.equal('true');
+        const {data} = await api.get(`/profiles/?account=${account}`);
+        data.filter(({id}) => id === result0.data.id).should.have.length(1);
+      });
+    it('returns the original job location for a repeated Idempotency-Key',
+      async () => {
+        const {account: {id: account}} = accounts['alpha@example.com'];
+        const didMethod = 'key';
+        const headers = {
+          'Idempotency-Key': 'b9a5b0b6-profile-3',
+          Prefer: 'respond-async'
+        };
+        let result0;
+        let result1;
+        let error;
+        try {
+          result0 = await api.post(
+            '/profiles', {account, didMethod}, {headers});
+          result1 = await api.post(
+            '/profiles', {account, didMethod}, {headers});
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        result0.status.should.equal(202);
+        result1.status.should.equal(202);
+        result1.data.id.should.equal(result0.data.id);
+        result1.headers['idempotent-replayed'].should.equal('true');
+        result1.headers.location.should.equal(result0.headers.location);
+        await _waitForProvisioningJob({api, account, jobId: result0.data.id});
+      });
+    it('throws error when Idempotency-Key is reused with a different body',
+      async () => {
+        const {account: {id: account}} = accounts['alpha@example.com'];
+        const headers = {'Idempotency-Key': 'b9a5b0b6-profile-2'};
+        let result0;
+        let result1;
+        let error;
+        try {
+          result0 = await api.post(
+            '/profiles', {account, didMethod: 'key'}, {headers});
+          result1 = await api.post(
+            '/profiles', {account, didMethod: 'v1'}, {headers});
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        result0.status.should.equal(200);
+        result1.status.should.equal(422);
+        result1.ok.should.equal(false);
+        result1.data.type.should.equal('ConstraintError');
+      });
+    it('create a new profile with an allowed webkms product', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const products = {webkms: mockData.allowedProducts.webkms};
       let result;
       let error;
       try {
-        result = await api.post('/profiles', {account});
+        result = await api.post('/profiles', {account, didMethod, products});
       } catch(e) {
         error = e;
       }
       assertNoError(error);
       should.exist(result);
-      result.status.should.equal(400);
-      result.ok.should.equal(false);
-      result.data.message.should.equal(
-        'A validation error occured in the \'Account Query\' validator.');
+      result.status.should.equal(200);
+      result.ok.should.equal(true);
+      const {meters, id: profileId} = result.data;
+      _shouldHaveMeters({meters, profileId});
     });
-    it('throws error when account is not authorized', async () => {
+    it('throws error when a product is not allowed', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const products = {edv: 'urn:uuid:2c5f5a1e-7d1e-4c7b-9d3f-1f0e0b8a3c6d'};
+      const meterCount = await helpers.countRecords('meter-meter');
       let result;
       let error;
       try {
-        result = await api.post('/profiles', {account: '123'});
+        result = await api.post('/profiles', {account, didMethod, products});
       } catch(e) {
         error = e;
       }
@@ -140,40 +233,98 @@ describe('bedrock-profile-http', () => {
       should.exist(result);
       result.status.should.equal(403);
       result.ok.should.equal(false);
-      result.data.message.should.equal('The "account" is not authorized.');
-    });
-  }); // end create a new profile
-
-  describe('POST /profile-agents (create a new profile agent)', () => {
-    afterEach(async () => {
-      await helpers.removeCollections(['profile-profileAgent']);
+      result.data.message.should.equal(
+        'The requested "edv" product is not allowed.');
+      const newMeterCount = await helpers.countRecords('meter-meter');
+      newMeterCount.should.equal(meterCount);
     });
-    it('successfully create a new profile agent', async () => {
+    it('create a new profile asynchronously', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const profile = 'did:example:1234';
+      const didMethod = 'key';
+      const headers = {Prefer: 'respond-async'};
       let result;
       let error;
       try {
-        result = await api.post('/profile-agents', {account, profile});
+        result = await api.post('/profiles', {account, didMethod}, {headers});
       } catch(e) {
         error = e;
       }
       assertNoError(error);
       should.exist(result);
-      result.status.should.equal(200);
-      result.ok.should.equal(true);
-      result.data.profileAgent.id.should.be.a('string');
-      result.data.profileAgent.sequence.should.equal(0);
-      result.data.profileAgent.profile.should.equal(profile);
-      result.data.profileAgent.account.should.equal(account);
-      _shouldHaveNoMeters({meters: result.data.profileMeters});
+      result.status.should.equal(202);
+      result.data.id.should.be.a('string');
+      result.headers.location.should.equal(
+        `${config.server.baseUri}/profiles/jobs/${result.data.id}`);
+
+      const job = await _waitForProvisioningJob(
+        {api, account, jobId: result.data.id});
+      job.status.should.equal('complete');
+      job.step.should.equal('complete');
+      job.profile.id.startsWith('did:key').should.equal(true);
+      _shouldHaveMeters({
+        meters: job.profile.meters,
+        profileId: job.profile.id
+      });
+    });
+    it('reports the failed step of an asynchronous profile creation',
+      async () => {
+        const {account: {id: account}} = accounts['alpha@example.com'];
+        const didMethod = 'not-v1-or-key';
+        const headers = {Prefer: 'respond-async'};
+        const result = await api.post(
+          '/profiles', {account, didMethod}, {headers});
+        result.status.should.equal(202);
+
+        const job = await _waitForProvisioningJob(
+          {api, account, jobId: result.data.id});
+        job.status.should.equal('failed');
+        job.error.step.should.equal('createProfile');
+        job.error.name.should.equal('OperationError');
+        job.error.message.should.equal('An unspecified error occurred.');
+        should.not.exist(job.profile);
+      });
+    it('fails an asynchronous profile creation that stops progressing',
+      async () => {
+        const {account: {id: account}} = accounts['alpha@example.com'];
+        const didMethod = 'key';
+        const headers = {Prefer: 'respond-async'};
+        const {provisioningJobs} = config['profile-http'];
+        const {timeout} = provisioningJobs;
+        provisioningJobs.timeout = 0;
+        let result;
+        try {
+          const {data: {id: jobId}} = await api.post(
+            '/profiles', {account, didMethod}, {headers});
+          await new Promise(resolve => setTimeout(resolve, 10));
+          result = await api.get(
+            `/profiles/jobs/${jobId}?account=${account}`);
+        } finally {
+          provisioningJobs.timeout = timeout;
+        }
+        result.status.should.equal(200);
+        result.data.status.should.equal('failed');
+        result.data.error.name.should.equal('TimeoutError');
+        result.data.error.message.should.equal(
+          'The profile provisioning job stopped unexpectedly.');
+        should.not.exist(result.data.profile);
+      });
+    it('throws error when getting a job for another account', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const headers = {Prefer: 'respond-async'};
+      const {data: {id: jobId}} = await api.post(
+        '/profiles', {account, didMethod}, {headers});
+      await _waitForProvisioningJob({api, account, jobId});
+      const result = await api.get(`/profiles/jobs/${jobId}?account=123`);
+      result.status.should.equal(403);
+      result.data.message.should.equal('The "account" is not authorized.');
     });
     it('throws error when there is no account', async () => {
       let account;
       let result;
       let error;
       try {
-        result = await api.post('/profile-agents', {account});
+        result = await api.post('/profiles', {account});
       } catch(e) {
         error = e;
       }
@@ -182,14 +333,13 @@ describe('bedrock-profile-http', () => {
       result.status.should.equal(400);
       result.ok.should.equal(false);
       result.data.message.should.equal(
-        'A validation error occured in the \'Profile Agent\' validator.');
+        'A validation error occured in the \'Create Profile\' validator.');
     });
     it('throws error when account is not authorized', async () => {
-      const profile = 'did:example:1234';
       let result;
       let error;
       try {
-        result = await api.post('/profile-agents', {account: '123', profile});
+        result = await api.post('/profiles', {account: '123'});
       } catch(e) {
         error = e;
       }
@@ -199,109 +349,71 @@ describe('bedrock-profile-http', () => {
       result.ok.should.equal(false);
       result.data.message.should.equal('The "account" is not authorized.');
     });
-  }); // end create a new profile agent
+  }); // end create a new profile
 
-  describe('GET /profile-agents (gets all profile agents associated with' +
-    ' an account)', () => {
+  describe('GET /profiles (gets all profiles associated with an ' +
+    'account)', () => {
     afterEach(async () => {
       await helpers.removeCollections(['profile-profileAgent']);
     });
-    it('successfully get all profile agents', async () => {
+    it('successfully get all profiles', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
       const didMethod = 'key';
       let error;
       let result0;
       let result1;
-      let result2;
       let results;
       try {
-        [result0, result1, result2] = await _createNProfiles({
-          n: 3,
+        [result0, result1] = await _createNProfiles({
+          n: 2,
           account,
           didMethod,
           api
         });
-        results = await api.get(`/profile-agents/?account=${account}`);
+        results = await api.get(`/profiles/?account=${account}`);
       } catch(e) {
         error = e;
       }
       assertNoError(error);
       should.exist(result0);
       should.exist(result1);
-      should.exist(result2);
       should.exist(results);
       results.status.should.equal(200);
       results.ok.should.equal(true);
       results.data.should.be.an('array');
-      results.data.length.should.equal(3);
-      const profileIds = results.data.map(({profileAgent}) => {
-        return profileAgent.profile;
-      });
+      results.data.length.should.equal(2);
+      const profileIds = results.data.map(({id}) => id);
       profileIds.should.include(result0.data.id);
       profileIds.should.include(result1.data.id);
-      profileIds.should.include(result2.data.id);
-      _shouldHaveMeters({
-        meters: results.data[0].profileMeters,
-        profileId: profileIds[0]
-      });
-      _shouldHaveMeters({
-        meters: results.data[1].profileMeters,
-        profileId: profileIds[1]
-      });
-      _shouldHaveMeters({
-        meters: results.data[2].profileMeters,
-        profileId: profileIds[2]
-      });
+      for(const profile of results.data) {
+        profile.profileAgentCount.should.equal(1);
+        profile.meta.created.should.be.a('number');
+        _shouldHaveMeters({
+          meters: profile.profileMeters,
+          profileId: profile.id
+        });
+      }
     });
-    it('successfully filters all profile agents for a ' +
-      'specific profile', async () => {
+    it('returns an empty array when account has no profiles', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const didMethod = 'key';
       let error;
-      let result0;
-      let result1;
-      let result2;
-      let results;
+      let result;
       try {
-        [result0, result1, result2] = await _createNProfiles({
-          n: 3,
-          account,
-          didMethod,
-          api
-        });
-        const {id: profile} = result2.data;
-        results = await api.get(`/profile-agents/?account=${account}` +
-          `&profile=${profile}`);
+        result = await api.get(`/profiles/?account=${account}`);
       } catch(e) {
         error = e;
       }
       assertNoError(error);
-      should.exist(result0);
-      should.exist(result1);
-      should.exist(result2);
-      should.exist(results);
-      results.status.should.equal(200);
-      results.ok.should.equal(true);
-      results.data.should.be.an('array');
-      results.data.length.should.equal(1);
-      const profileIds = results.data.map(({profileAgent}) => {
-        return profileAgent.profile;
-      });
-      profileIds.should.not.include(result0.data.id);
-      profileIds.should.not.include(result1.data.id);
-      profileIds.should.include(result2.data.id);
-
-      _shouldHaveMeters({
-        meters: results.data[0].profileMeters,
-        profileId: profileIds[0]
-      });
+      should.exist(result);
+      result.status.should.equal(200);
+      result.data.should.eql([]);
     });
     it('throws error when account is not authorized', async () => {
       const account = '123';
       let error;
       let result;
       try {
-        result = await api.get(`/profile-agents/?account=${account}`);
+        result = await api.get(`/profiles/?account=${account}`);
       } catch(e) {
         error = e;
       }
@@ -311,26 +423,22 @@ describe('bedrock-profile-http', () => {
       result.ok.should.equal(false);
       result.data.message.should.equal('The "account" is not authorized.');
     });
-  }); // end gets all profile agents associated with an account
+  }); // end gets all profiles associated with an account
 
-  describe('GET /profile-agents/:profileAgentId (gets a profile agent' +
-    ' associated with an account)', () => {
+  describe('GET /profiles/:profileId (gets a profile associated with an ' +
+    'account)', () => {
     afterEach(async () => {
       await helpers.removeCollections(['profile-profileAgent']);
     });
-    it('successfully get a profile agent by its id', async () => {
+    it('successfully get a profile by its id', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
       const didMethod = 'key';
       const {data: {id: profile}} = await api.post('/profiles',
         {account, didMethod});
-      const {data} = await api.get(`/profile-agents/?account=${account}` +
-        `&profile=${profile}`);
-      const {id: profileAgentId} = data[0].profileAgent;
       let result;
       let error;
       try {
-        result = await api.get(`/profile-agents/${profileAgentId}` +
-          `?account=${account}`);
+        result = await api.get(`/profiles/${profile}?account=${account}`);
       } catch(e) {
         error = e;
       }
@@ -338,34 +446,34 @@ describe('bedrock-profile-http', () => {
       should.exist(result);
       result.status.should.equal(200);
       result.ok.should.equal(true);
-      result.data.profileAgent.id.should.be.a('string');
-      result.data.profileAgent.account.should.equal(account);
+      result.data.id.should.equal(profile);
+      result.data.edvs.should.be.an('object');
+      result.data.edvs.should.have.keys(['user', 'credentials']);
+      result.data.edvs.user.controller.should.equal(profile);
+      result.data.edvs.credentials.controller.should.equal(profile);
+      result.data.keystores.should.be.an('array');
+      result.data.keystores.should.have.length(1);
+      result.data.keystores[0].controller.should.equal(profile);
       _shouldHaveMeters({
         meters: result.data.profileMeters,
         profileId: profile
       });
     });
-    it('throws error when there is no account', async () => {
+    it('throws error when account has no agent for the profile', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const didMethod = 'key';
-      const {data: {id: profile}} = await api.post('/profiles',
-        {account, didMethod});
-      const {data} = await api.get(`/profile-agents/?account=${account}` +
-        `&profile=${profile}`);
-      const {id: profileAgentId} = data[0].profileAgent;
+      const profile = 'did:example:3f1a5d7e-3a8f-4bb1-8ef5-2b2b4e9ef3a4';
       let result;
       let error;
       try {
-        result = await api.get(`/profile-agents/${profileAgentId}`);
+        result = await api.get(`/profiles/${profile}?account=${account}`);
       } catch(e) {
         error = e;
       }
       assertNoError(error);
       should.exist(result);
-      result.status.should.equal(400);
+      result.status.should.equal(403);
       result.ok.should.equal(false);
-      result.data.message.should.equal(
-        'A validation error occured in the \'Account Query\' validator.');
+      result.data.message.should.equal('The "account" is not authorized.');
     });
     it('throws error when account is not authorized', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
@@ -373,14 +481,10 @@ describe('bedrock-profile-http', () => {
       const wrongAccount = '123';
       const {data: {id: profile}} = await api.post('/profiles',
         {account, didMethod});
-      const {data} = await api.get(`/profile-agents/?account=${account}` +
-        `&profile=${profile}`);
-      const {id: profileAgentId} = data[0].profileAgent;
       let result;
       let error;
       try {
-        result = await api.get(`/profile-agents/${profileAgentId}` +
-          `?account=${wrongAccount}`);
+        result = await api.get(`/profiles/${profile}?account=${wrongAccount}`);
       } catch(e) {
         error = e;
       }
@@ -390,80 +494,74 @@ describe('bedrock-profile-http', () => {
       result.ok.should.equal(false);
       result.data.message.should.equal('The "account" is not authorized.');
     });
-  }); // end gets a profile agent associated with an account
+  }); // end gets a profile associated with an account
 
-  describe('DELETE /profile-agents/:profileAgentId (gets a profile agent' +
-    ' associated with an account)', () => {
+  describe('DELETE /profiles/:profileId (deletes a profile associated with ' +
+    'an account)', () => {
     afterEach(async () => {
       await helpers.removeCollections(['profile-profileAgent']);
     });
-    it('successfully deletes a profile agent by its id', async () => {
+    it('successfully deletes a profile by its id', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
       const didMethod = 'key';
       const {data: {id: profile}} = await api.post('/profiles',
         {account, didMethod});
-      const {data} = await api.get(`/profile-agents/?account=${account}` +
-        `&profile=${profile}`);
-      const {id: profileAgentId} = data[0].profileAgent;
+      // add a second profile agent for the profile
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {profile});
       let result;
-      let result0;
       let error;
       try {
-        result = await api.delete(`/profile-agents/${profileAgentId}` +
-          `?account=${account}`);
+        result = await api.delete(`/profiles/${profile}?account=${account}`);
       } catch(e) {
         error = e;
       }
-      try {
-        result0 = await api.get(`/profile-agents/${profileAgentId}` +
-        `?account=${account}`);
-      } catch(e) {
-        should.exist(e);
-      }
       assertNoError(error);
       should.exist(result);
-      should.exist(result0);
-      result.status.should.equal(204);
+      result.status.should.equal(200);
       result.ok.should.equal(true);
+      result.data.id.should.equal(profile);
+      // includes the meter of the second profile agent
+      result.data.meters.removed.should.have.length(3);
+      result.data.meters.failed.should.have.length(0);
+      result.data.profileAgents.removed.should.have.length(2);
+      result.data.profileAgents.removed.should.include(profileAgentId);
+      result.data.profileAgents.failed.should.have.length(0);
+
+      const {data: agents} = await api.get(
+        `/profile-agents/?account=${account}&profile=${profile}`);
+      agents.should.have.length(0);
+      const result0 = await api.get(
+        `/profile-agents/${profileAgentId}?account=${account}`);
       result0.status.should.equal(404);
-      result0.ok.should.equal(false);
     });
-    it('throws error when there is no account', async () => {
+    it('throws error when account has no agent for the profile', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const didMethod = 'key';
-      const {data: {id: profile}} = await api.post('/profiles',
-        {account, didMethod});
-      const {data} = await api.get(`/profile-agents/?account=${account}` +
-        `&profile=${profile}`);
-      const {id: profileAgentId} = data[0].profileAgent;
+      const profile = 'did:example:0a7a4dd2-1d0e-4a44-8e0e-6c5ae2b6c1f3';
       let result;
       let error;
       try {
-        result = await api.delete(`/profile-agents/${profileAgentId}`);
+        result = await api.delete(`/profiles/${profile}?account=${account}`);
       } catch(e) {
         error = e;
       }
       assertNoError(error);
       should.exist(result);
-      result.status.should.equal(400);
+      result.status.should.equal(403);
       result.ok.should.equal(false);
-      result.data.message.should.equal(
-        'A validation error occured in the \'Account Query\' validator.');
+      result.data.message.should.equal('The "account" is not authorized.');
     });
     it('throws error when account is not authorized', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const wrongAccount = '123';
       const didMethod = 'key';
+      const wrongAccount = '123';
       const {data: {id: profile}} = await api.post('/profiles',
         {account, didMethod});
-      const {data} = await api.get(`/profile-agents/?account=${account}` +
-        `&profile=${profile}`);
-      const {id: profileAgentId} = data[0].profileAgent;
       let result;
       let error;
       try {
-        result = await api.delete(`/profile-agents/${profileAgentId}` +
-          `?account=${wrongAccount}`);
+        result = await api.delete(
+          `/profiles/${profile}?account=${wrongAccount}`);
       } catch(e) {
         error = e;
       }
@@ -473,61 +571,2081 @@ describe('bedrock-profile-http', () => {
       result.ok.should.equal(false);
       result.data.message.should.equal('The "account" is not authorized.');
     });
-  }); // end gets a profile agent associated with an account
+  }); // end deletes a profile associated with an account
 
-  describe('POST /profile-agents/:profileAgentId/capabilities/delegate ' +
-    '(delegates profile agent\'s zCaps to a specified "controller")', () => {
+  describe('profile invitations', () => {
     afterEach(async () => {
-      await helpers.removeCollections(['profile-profileAgent']);
+      await helpers.removeCollections(
+        ['profile-profileAgent', 'profile-http-invitation']);
+      // restore the alpha session
+      passportStub.restore();
+      passportStub = helpers.stubPassport();
     });
-    it('successfully delegate profile agent\'s zcaps', async () => {
-      const {account: {id: account}} = accounts['alpha@example.com'];
-      const did = 'did:example:123456789';
+    it('invites another account to a profile', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
       const didMethod = 'key';
-      const {data: {id: profile}} = await api.post('/profiles',
-        {account, didMethod});
-      const {data} = await api.get(`/profile-agents/?account=${account}` +
-        `&profile=${profile}`);
-      const [{profileAgent}] = data;
-      const {id: profileAgentId} = profileAgent;
-      const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
-      let result;
+      const {data: {id: profileId}} = await api.post(
+        '/profiles', {account: alpha, didMethod});
       let error;
+      let invitation;
+      let invitations;
       try {
-        result = await api.post(
-          `/profile-agents/${profileAgentId}/capabilities/delegate`,
-          {controller: did, account, zcap});
+        invitation = await api.post(
+          `/profiles/${profileId}/invitations`,
+          {account: alpha, invitee: beta});
+        invitations = await api.get(
+          `/profiles/${profileId}/invitations?account=${alpha}`);
       } catch(e) {
         error = e;
       }
       assertNoError(error);
-      should.exist(result);
-      result.status.should.equal(200);
+      should.exist(invitation);
+      invitation.status.should.equal(201);
+      invitation.data.id.should.be.a('string');
+      invitation.data.profile.should.equal(profileId);
+      invitation.data.account.should.equal(beta);
+      invitation.data.inviter.account.should.equal(alpha);
+      invitation.data.status.should.equal('pending');
+      invitation.data.expires.should.be.a('number');
+      invitations.status.should.equal(200);
+      invitations.data.should.have.length(1);
+      invitations.data[0].id.should.equal(invitation.data.id);
+
+      // accept the invitation as the invited account
+      passportStub.restore();
+      passportStub = helpers.stubPassport({email: 'beta@example.com'});
+      let result;
+      try {
+        result = await api.post(
+          `/profiles/${profileId}/invitations/${invitation.data.id}/accept`,
+          {account: beta});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
+      const {profileAgent} = result.data;
+      profileAgent.account.should.equal(beta);
+      profileAgent.profile.should.equal(profileId);
+      profileAgent.role.should.equal('member');
+      should.exist(profileAgent.zcaps.profileCapabilityInvocationKey);
+      profileAgent.zcaps.profileCapabilityInvocationKey.controller
+        .should.equal(profileAgent.id);
+      _shouldHaveMeters({
+        meters: result.data.profileMeters,
+        profileId,
+        profileAgentIds: [profileAgent.id]
+      });
+
+      // the invitation cannot be accepted again
+      result = await api.post(
+        `/profiles/${profileId}/invitations/${invitation.data.id}/accept`,
+        {account: beta});
+      result.status.should.equal(409);
+      result.data.type.should.equal('InvalidStateError');
+    });
+    it('throws error when accepting a revoked invitation', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profileId}} = await api.post(
+        '/profiles', {account: alpha, didMethod});
+      const {data: {id: invitationId}} = await api.post(
+        `/profiles/${profileId}/invitations`,
+        {account: alpha, invitee: beta});
+      let error;
+      let result;
+      try {
+        result = await api.delete(
+          `/profiles/${profileId}/invitations/${invitationId}` +
+          `?account=${alpha}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(204);
+
+      passportStub.restore();
+      passportStub = helpers.stubPassport({email: 'beta@example.com'});
+      result = await api.post(
+        `/profiles/${profileId}/invitations/${invitationId}/accept`,
+        {account: beta});
+      result.status.should.equal(409);
+      result.data.type.should.equal('InvalidStateError');
+      result.data.details.status.should.equal('revoked');
+    });
+    it('keeps the profile agent of an accepted invitation', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profileId}} = await api.post(
+        '/profiles', {account: alpha, didMethod});
+      const {data: {id: invitationId}} = await api.post(
+        `/profiles/${profileId}/invitations`,
+        {account: alpha, invitee: beta});
+      passportStub.restore();
+      passportStub = helpers.stubPassport({email: 'beta@example.com'});
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        `/profiles/${profileId}/invitations/${invitationId}/accept`,
+        {account: beta});
+      let error;
+      let result;
+      let profileAgentsResult;
+      try {
+        result = await api.get(
+          `/profile-agents/${profileAgentId}?account=${beta}`);
+        profileAgentsResult = await api.get(
+          `/profile-agents/?account=${beta}&profile=${profileId}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(200);
+      const {profileAgent} = result.data;
+      profileAgent.id.should.equal(profileAgentId);
+      should.exist(profileAgent.zcaps.profileCapabilityInvocationKey);
+      should.exist(profileAgent.zcaps.userDocument);
+      should.exist(profileAgent.zcaps['user-edv-kak']);
+      profileAgentsResult.status.should.equal(200);
+      profileAgentsResult.data.map(({profileAgent: {id}}) => id)
+        .should.eql([profileAgentId]);
+    });
+    it('throws error when another account accepts an invitation',
+      async () => {
+        const {account: {id: alpha}} = accounts['alpha@example.com'];
+        const {account: {id: beta}} = accounts['beta@example.com'];
+        const didMethod = 'key';
+        const {data: {id: profileId}} = await api.post(
+          '/profiles', {account: alpha, didMethod});
+        const {data: {id: invitationId}} = await api.post(
+          `/profiles/${profileId}/invitations`,
+          {account: alpha, invitee: beta});
+        let error;
+        let result;
+        try {
+          result = await api.post(
+            `/profiles/${profileId}/invitations/${invitationId}/accept`,
+            {account: alpha});
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        should.exist(result);
+        result.status.should.equal(404);
+        result.data.type.should.equal('NotFoundError');
+      });
+    it('throws error when account has no agent for the profile', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const profileId = 'did:example:6a1d5c2e-8b7f-4d3a-9e0c-1f2b3a4c5d6e';
+      let error;
+      let result;
+      try {
+        result = await api.post(
+          `/profiles/${profileId}/invitations`,
+          {account: alpha, invitee: beta});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.data.message.should.equal('The "account" is not authorized.');
+    });
+  }); // end profile invitations
+
+  describe('profile agent roles', () => {
+    afterEach(async () => {
+      await helpers.removeCollections(
+        ['profile-profileAgent', 'profile-http-invitation']);
+      _useSession('alpha@example.com');
+    });
+    // switches the authenticated session to the account with the given email
+    function _useSession(email) {
+      passportStub.restore();
+      passportStub = helpers.stubPassport({email});
+    }
+    // invites the beta account to a profile of the alpha account and
+    // accepts the invitation, leaving the beta session authenticated
+    async function _addBetaProfileAgent({profileId, role}) {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const {data: {id: invitationId}} = await api.post(
+        `/profiles/${profileId}/invitations`,
+        {account: alpha, invitee: beta, role});
+      _useSession('beta@example.com');
+      const {data: {profileAgent}} = await api.post(
+        `/profiles/${profileId}/invitations/${invitationId}/accept`,
+        {account: beta});
+      return profileAgent;
+    }
+    it('returns the role of each profile agent', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      let error;
+      let profileAgent;
+      let result;
+      try {
+        const {data: {id: profile}} = await api.post(
+          '/profiles', {account, didMethod});
+        ({data: {profileAgent}} = await api.post(
+          '/profile-agents', {account, profile}));
+        result = await api.get(
+          `/profile-agents/?account=${account}&profile=${profile}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      profileAgent.role.should.equal('member');
+      result.status.should.equal(200);
+      result.data.should.have.length(2);
+      const roleMap = new Map(result.data.map(
+        ({profileAgent}) => [profileAgent.id, profileAgent.role]));
+      roleMap.get(profileAgent.id).should.equal('member');
+      [...roleMap.values()].should.have.members(['owner', 'member']);
+    });
+    it('acts as the highest role of an account\'s profile agents',
+      async () => {
+        const {account: {id: alpha}} = accounts['alpha@example.com'];
+        const {account: {id: beta}} = accounts['beta@example.com'];
+        const didMethod = 'key';
+        const {data: {id: profileId}} = await api.post(
+          '/profiles', {account: alpha, didMethod});
+        await api.post('/profile-agents', {account: alpha, profile: profileId});
+        let result;
+        let error;
+        try {
+          result = await api.post(
+            `/profiles/${profileId}/invitations`,
+            {account: alpha, invitee: beta});
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        should.exist(result);
+        result.status.should.equal(201);
+      });
+    it('throws error when a member stores a write capability', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post(
+        '/profiles', {account, didMethod});
+      const {data: [{profileAgent: owner}]} = await api.get(
+        `/profile-agents/?account=${account}&profile=${profile}`);
+      const {data: {profileAgent}} = await api.post(
+        '/profile-agents', {account, profile});
+      profileAgent.role.should.equal('member');
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgent.id}/capability-set` +
+          `?account=${account}`,
+          {zcaps: {key: owner.zcaps.profileCapabilityInvocationKey}});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.data.type.should.equal('NotAllowedError');
+      result.data.details.role.should.equal('member');
+    });
+    it('throws error when a member delegates a write capability',
+      async () => {
+        const {account: {id: alpha}} = accounts['alpha@example.com'];
+        const {account: {id: beta}} = accounts['beta@example.com'];
+        const didMethod = 'key';
+        const {data: {id: profileId}} = await api.post(
+          '/profiles', {account: alpha, didMethod});
+        const profileAgent = await _addBetaProfileAgent(
+          {profileId, role: 'member'});
+        profileAgent.role.should.equal('member');
+        let result;
+        let error;
+        try {
+          result = await api.post(
+            `/profile-agents/${profileAgent.id}/capabilities/delegate`, {
+              controller: 'did:example:123456789',
+              account: beta,
+              zcap: profileAgent.zcaps.profileCapabilityInvocationKey
+            });
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        should.exist(result);
+        result.status.should.equal(403);
+        result.data.type.should.equal('NotAllowedError');
+        result.data.details.role.should.equal('member');
+      });
+    it('throws error when a member invites another account', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profileId}} = await api.post(
+        '/profiles', {account: alpha, didMethod});
+      await _addBetaProfileAgent({profileId, role: 'member'});
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profiles/${profileId}/invitations`,
+          {account: beta, invitee: alpha});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.data.type.should.equal('NotAllowedError');
+      result.data.details.requiredRoles.should.eql(['owner', 'admin']);
+    });
+    it('lets an owner change the role of another profile agent', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profileId}} = await api.post(
+        '/profiles', {account: alpha, didMethod});
+      const profileAgent = await _addBetaProfileAgent(
+        {profileId, role: 'member'});
+      _useSession('alpha@example.com');
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgent.id}/role`,
+          {account: alpha, role: 'admin'});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(204);
+      const {data} = await api.get(
+        `/profile-agents/?account=${alpha}&profile=${profileId}`);
+      data.should.have.length(1);
+      data[0].profileAgent.role.should.equal('owner');
+      _useSession('beta@example.com');
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const {data: {profileAgent: updated}} = await api.get(
+        `/profile-agents/${profileAgent.id}?account=${beta}`);
+      updated.role.should.equal('admin');
+    });
+    it('throws error when a suspended admin manages the profile',
+      async () => {
+        const {account: {id: alpha}} = accounts['alpha@example.com'];
+        const {account: {id: beta}} = accounts['beta@example.com'];
+        const didMethod = 'key';
+        const {data: {id: profileId}} = await api.post(
+          '/profiles', {account: alpha, didMethod});
+        const {data: [{profileAgent: ownerProfileAgent}]} = await api.get(
+          `/profile-agents/?account=${alpha}&profile=${profileId}`);
+        const {data: {id: invitationId}} = await api.post(
+          `/profiles/${profileId}/invitations`,
+          {account: alpha, invitee: beta});
+        const profileAgent = await _addBetaProfileAgent(
+          {profileId, role: 'admin'});
+        _useSession('alpha@example.com');
+        await api.post(
+          `/profile-agents/${profileAgent.id}/suspend`, {account: alpha});
+        _useSession('beta@example.com');
+        let results;
+        let error;
+        try {
+          results = [
+            await api.post(
+              `/profile-agents/${ownerProfileAgent.id}/role`,
+              {account: beta, role: 'member'}),
+            await api.get(
+              `/profiles/${profileId}/invitations?account=${beta}`),
+            await api.delete(
+              `/profiles/${profileId}/invitations/${invitationId}` +
+              `?account=${beta}`)
+          ];
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        for(const result of results) {
+          result.status.should.equal(403);
+          result.data.type.should.equal('NotAllowedError');
+          result.data.details.status.should.equal('suspended');
+        }
+      });
+    it('throws error when an admin removes an owner', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profileId}} = await api.post(
+        '/profiles', {account: alpha, didMethod});
+      const {data: [{profileAgent: ownerProfileAgent}]} = await api.get(
+        `/profile-agents/?account=${alpha}&profile=${profileId}`);
+      await _addBetaProfileAgent({profileId, role: 'admin'});
+      let result;
+      let error;
+      try {
+        result = await api.delete(
+          `/profile-agents/${ownerProfileAgent.id}?account=${beta}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.data.type.should.equal('NotAllowedError');
+      result.data.details.requiredRoles.should.eql(['owner']);
+    });
+    it('lets an owner remove another account\'s profile agent', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profileId}} = await api.post(
+        '/profiles', {account: alpha, didMethod});
+      const profileAgent = await _addBetaProfileAgent(
+        {profileId, role: 'member'});
+      _useSession('alpha@example.com');
+      let result;
+      let error;
+      try {
+        result = await api.delete(
+          `/profile-agents/${profileAgent.id}?account=${alpha}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(204);
+    });
+  }); // end profile agent roles
+
+  describe('profile agent transfers', () => {
+    afterEach(async () => {
+      await helpers.removeCollections(
+        ['profile-profileAgent', 'profile-http-profileAgentTransfer']);
+      passportStub.restore();
+      passportStub = helpers.stubPassport();
+    });
+    it('transfers a profile agent to another account', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const profile = 'did:example:0b8e4f6a-3c2d-4e1f-9a7b-5c6d7e8f9a0b';
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {account: alpha, profile});
+      let error;
+      let transfer;
+      try {
+        transfer = await api.post(
+          `/profile-agents/${profileAgentId}/transfers`,
+          {account: alpha, recipient: beta});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(transfer);
+      transfer.status.should.equal(201);
+      transfer.data.status.should.equal('pending');
+      transfer.data.from.should.equal(alpha);
+      transfer.data.to.should.equal(beta);
+
+      // accept the transfer as the recipient
+      passportStub.restore();
+      passportStub = helpers.stubPassport({email: 'beta@example.com'});
+      let result;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/transfers/` +
+          `${transfer.data.id}/accept`, {account: beta});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(204);
+
+      const {data: {profileAgent}} = await api.get(
+        `/profile-agents/${profileAgentId}?account=${beta}`);
+      profileAgent.account.should.equal(beta);
+      const {data: history} = await api.get(
+        `/profile-agents/${profileAgentId}/transfers?account=${beta}`);
+      history.should.have.length(1);
+      history[0].status.should.equal('accepted');
+      history[0].accepted.should.be.a('number');
+    });
+    it('cancels a pending transfer', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const profile = 'did:example:7f6e5d4c-3b2a-4190-8f7e-6d5c4b3a2918';
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {account: alpha, profile});
+      const {data: {id: transferId}} = await api.post(
+        `/profile-agents/${profileAgentId}/transfers`,
+        {account: alpha, recipient: beta});
+      let error;
+      let result;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/transfers/${transferId}/cancel`,
+          {account: alpha});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(204);
+
+      passportStub.restore();
+      passportStub = helpers.stubPassport({email: 'beta@example.com'});
+      result = await api.post(
+        `/profile-agents/${profileAgentId}/transfers/${transferId}/accept`,
+        {account: beta});
+      result.status.should.equal(409);
+      result.data.type.should.equal('InvalidStateError');
+      result.data.details.status.should.equal('cancelled');
+    });
+    it('throws error when another account accepts a transfer', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const profile = 'did:example:2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e6f';
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {account: alpha, profile});
+      const {data: {id: transferId}} = await api.post(
+        `/profile-agents/${profileAgentId}/transfers`,
+        {account: alpha, recipient: beta});
+      let error;
+      let result;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/transfers/${transferId}/accept`,
+          {account: alpha});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(404);
+      result.data.type.should.equal('NotFoundError');
+    });
+    it('throws error when account does not hold the profile agent',
+      async () => {
+        const {account: {id: alpha}} = accounts['alpha@example.com'];
+        const {account: {id: beta}} = accounts['beta@example.com'];
+        const profile = 'did:example:9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+        const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+          '/profile-agents', {profile});
+        let error;
+        let result;
+        try {
+          result = await api.post(
+            `/profile-agents/${profileAgentId}/transfers`,
+            {account: alpha, recipient: beta});
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        should.exist(result);
+        result.status.should.equal(403);
+        result.data.message.should.equal('The "account" is not authorized.');
+      });
+  }); // end profile agent transfers
+
+  describe('suspending and resuming profile agents', () => {
+    afterEach(async () => {
+      await helpers.removeCollections(
+        ['profile-profileAgent', 'profile-http-invitation']);
+      // restore the alpha session
+      passportStub.restore();
+      passportStub = helpers.stubPassport();
+    });
+    it('refuses to delegate for a suspended profile agent', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const did = 'did:example:123456789';
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const [{profileAgent}] = data;
+
+      // add another owner of the profile that can resume the profile agent
+      const {data: {id: invitationId}} = await api.post(
+        `/profiles/${profile}/invitations`,
+        {account, invitee: beta, role: 'owner'});
+      passportStub.restore();
+      passportStub = helpers.stubPassport({email: 'beta@example.com'});
+      await api.post(
+        `/profiles/${profile}/invitations/${invitationId}/accept`,
+        {account: beta});
+      passportStub.restore();
+      passportStub = helpers.stubPassport();
+      const {id: profileAgentId} = profileAgent;
+      profileAgent.status.should.equal('active');
+      const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/suspend`, {account});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(204);
+
+      const {data: {profileAgent: suspended}} = await api.get(
+        `/profile-agents/${profileAgentId}?account=${account}`);
+      suspended.status.should.equal('suspended');
+      suspended.statusChange.account.should.equal(account);
+
+      result = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {controller: did, account, zcap});
+      result.status.should.equal(403);
+      result.data.type.should.equal('NotAllowedError');
+      result.data.details.status.should.equal('suspended');
+
+      result = await api.post(
+        `/profile-agents/${profileAgentId}/capability-set` +
+        `?account=${account}`, {zcaps});
+      result.status.should.equal(403);
+      result.data.details.status.should.equal('suspended');
+
+      // the suspended profile agent cannot resume itself
+      result = await api.post(
+        `/profile-agents/${profileAgentId}/resume`, {account});
+      result.status.should.equal(403);
+      result.data.type.should.equal('NotAllowedError');
+
+      // resuming by another owner allows delegation again
+      passportStub.restore();
+      passportStub = helpers.stubPassport({email: 'beta@example.com'});
+      result = await api.post(
+        `/profile-agents/${profileAgentId}/resume`, {account: beta});
+      result.status.should.equal(204);
+      passportStub.restore();
+      passportStub = helpers.stubPassport();
+      result = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {controller: did, account, zcap});
+      result.status.should.equal(200);
+      result.data.zcap.controller.should.equal(did);
+    });
+    it('throws error when resuming an active profile agent', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {account, profile});
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/resume`, {account});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(409);
+      result.data.type.should.equal('InvalidStateError');
+    });
+    it('throws error when account is not authorized', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const profile = 'did:example:5a6b7c8d-9e0f-4a1b-8c2d-3e4f5a6b7c8d';
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {account, profile});
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/suspend`, {account: '123'});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.data.message.should.equal('The "account" is not authorized.');
+    });
+    it('refuses an invitation from a suspended profile agent', async () => {
+      const {account: {id: alpha}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profileId}} = await api.post(
+        '/profiles', {account: alpha, didMethod});
+      const {data: [{profileAgent: {id: profileAgentId}}]} = await api.get(
+        `/profile-agents/?account=${alpha}&profile=${profileId}`);
+      const {data: {id: invitationId}} = await api.post(
+        `/profiles/${profileId}/invitations`,
+        {account: alpha, invitee: beta});
+      await api.post(
+        `/profile-agents/${profileAgentId}/suspend`, {account: alpha});
+
+      passportStub.restore();
+      passportStub = helpers.stubPassport({email: 'beta@example.com'});
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profiles/${profileId}/invitations/${invitationId}/accept`,
+          {account: beta});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.data.type.should.equal('NotAllowedError');
+      result.data.details.status.should.equal('suspended');
+    });
+  }); // end suspending and resuming profile agents
+
+  describe('restoring deleted profile agents', () => {
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+      config['profile-http'].profileAgents.deletion.retention =
+        30 * 24 * 60 * 60 * 1000;
+    });
+    it('restores a deleted profile agent', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const profile = 'did:example:6c7d8e9f-0a1b-4c2d-8e3f-4a5b6c7d8e9f';
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {account, profile});
+      let result;
+      let error;
+      try {
+        result = await api.delete(
+          `/profile-agents/${profileAgentId}?account=${account}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(204);
+
+      // deleted profile agents are not found or listed
+      result = await api.get(
+        `/profile-agents/${profileAgentId}?account=${account}`);
+      result.status.should.equal(404);
+      result = await api.get(`/profile-agents/?account=${account}`);
+      result.data.should.have.length(0);
+      (await helpers.countRecords('profile-profileAgent')).should.equal(1);
+
+      result = await api.post(
+        `/profile-agents/${profileAgentId}/restore`, {account});
+      result.status.should.equal(204);
+      result = await api.get(
+        `/profile-agents/${profileAgentId}?account=${account}`);
+      result.status.should.equal(200);
+      should.not.exist(result.data.profileAgent.deleted);
+    });
+    it('throws error when the restore window has passed', async () => {
+      config['profile-http'].profileAgents.deletion.retention = 0;
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const profile = 'did:example:8e9f0a1b-2c3d-4e4f-9a5b-6c7d8e9f0a1b';
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {account, profile});
+      await api.delete(`/profile-agents/${profileAgentId}?account=${account}`);
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/restore`, {account});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(404);
+      result.data.type.should.equal('NotFoundError');
+    });
+    it('throws error when profile agent has not been deleted', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const profile = 'did:example:0a1b2c3d-4e5f-4a6b-8c7d-8e9f0a1b2c3d';
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {account, profile});
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/restore`, {account});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(409);
+      result.data.type.should.equal('InvalidStateError');
+    });
+  }); // end restoring deleted profile agents
+
+  describe('POST /profile-agents (create a new profile agent)', () => {
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+    });
+    it('successfully create a new profile agent', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const profile = 'did:example:1234';
+      let result;
+      let error;
+      try {
+        result = await api.post('/profile-agents', {account, profile});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
+      result.ok.should.equal(true);
+      result.data.profileAgent.id.should.be.a('string');
+      result.data.profileAgent.sequence.should.equal(0);
+      result.data.profileAgent.profile.should.equal(profile);
+      result.data.profileAgent.account.should.equal(account);
+      _shouldHaveProfileAgentMeter({
+        meters: result.data.profileMeters,
+        profileId: profile,
+        profileAgentId: result.data.profileAgent.id
+      });
+    });
+    it('create a new profile agent with an allowed webkms product',
+      async () => {
+        const {account: {id: account}} = accounts['alpha@example.com'];
+        const profile = 'did:example:1234';
+        const products = {webkms: mockData.allowedProducts.webkms};
+        let result;
+        let error;
+        try {
+          result = await api.post(
+            '/profile-agents', {account, profile, products});
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        should.exist(result);
+        result.status.should.equal(200);
+        result.data.profileAgent.profile.should.equal(profile);
+      });
+    it('throws error when a webkms product is not allowed', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const profile = 'did:example:1234';
+      const products = {
+        webkms: 'urn:uuid:2c5f5a1e-7d1e-4c7b-9d3f-1f0e0b8a3c6d'
+      };
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          '/profile-agents', {account, profile, products});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.data.message.should.equal(
+        'The requested "webkms" product is not allowed.');
+    });
+    it('returns the original profile agent for a repeated Idempotency-Key',
+      async () => {
+        const {account: {id: account}} = accounts['alpha@example.com'];
+        const profile = 'did:example:1234';
+        const headers = {'Idempotency-Key': 'b9a5b0b6-profile-agent-1'};
+        let result0;
+        let result1;
+        let error;
+        try {
+          result0 = await api.post(
+            '/profile-agents', {account, profile}, {headers});
+          result1 = await api.post(
+            '/profile-agents', {account, profile}, {headers});
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        result0.status.should.equal(200);
+        result1.status.should.equal(200);
+        result1.data.profileAgent.id.should.equal(
+          result0.data.profileAgent.id);
+        const {data} = await api.get(
+          `/profile-agents/?account=${account}&profile=${profile}`);
+        data.should.have.length(1);
+      });
+    it('throws error when there is no account', async () => {
+      let account;
+      let result;
+      let error;
+      try {
+        result = await api.post('/profile-agents', {account});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(400);
+      result.ok.should.equal(false);
+      result.data.message.should.equal(
+        'A validation error occured in the \'Profile Agent\' validator.');
+    });
+    it('throws error when account is not authorized', async () => {
+      const profile = 'did:example:1234';
+      let result;
+      let error;
+      try {
+        result = await api.post('/profile-agents', {account: '123', profile});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.ok.should.equal(false);
+      result.data.message.should.equal('The "account" is not authorized.');
+    });
+  }); // end create a new profile agent
+
+  describe('GET /profile-agents (gets all profile agents associated with' +
+    ' an account)', () => {
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+    });
+    it('successfully get all profile agents', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      let error;
+      let result0;
+      let result1;
+      let result2;
+      let results;
+      try {
+        [result0, result1, result2] = await _createNProfiles({
+          n: 3,
+          account,
+          didMethod,
+          api
+        });
+        results = await api.get(`/profile-agents/?account=${account}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result0);
+      should.exist(result1);
+      should.exist(result2);
+      should.exist(results);
+      results.status.should.equal(200);
+      results.ok.should.equal(true);
+      results.data.should.be.an('array');
+      results.data.length.should.equal(3);
+      const profileIds = results.data.map(({profileAgent}) => {
+        return profileAgent.profile;
+      });
+      profileIds.should.include(result0.data.id);
+      profileIds.should.include(result1.data.id);
+      profileIds.should.include(result2.data.id);
+      _shouldHaveMeters({
+        meters: results.data[0].profileMeters,
+        profileId: profileIds[0]
+      });
+      _shouldHaveMeters({
+        meters: results.data[1].profileMeters,
+        profileId: profileIds[1]
+      });
+      _shouldHaveMeters({
+        meters: results.data[2].profileMeters,
+        profileId: profileIds[2]
+      });
+    });
+    it('successfully filters all profile agents for a ' +
+      'specific profile', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      let error;
+      let result0;
+      let result1;
+      let result2;
+      let results;
+      try {
+        [result0, result1, result2] = await _createNProfiles({
+          n: 3,
+          account,
+          didMethod,
+          api
+        });
+        const {id: profile} = result2.data;
+        results = await api.get(`/profile-agents/?account=${account}` +
+          `&profile=${profile}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result0);
+      should.exist(result1);
+      should.exist(result2);
+      should.exist(results);
+      results.status.should.equal(200);
+      results.ok.should.equal(true);
+      results.data.should.be.an('array');
+      results.data.length.should.equal(1);
+      const profileIds = results.data.map(({profileAgent}) => {
+        return profileAgent.profile;
+      });
+      profileIds.should.not.include(result0.data.id);
+      profileIds.should.not.include(result1.data.id);
+      profileIds.should.include(result2.data.id);
+
+      _shouldHaveMeters({
+        meters: results.data[0].profileMeters,
+        profileId: profileIds[0]
+      });
+    });
+    it('throws error when account is not authorized', async () => {
+      const account = '123';
+      let error;
+      let result;
+      try {
+        result = await api.get(`/profile-agents/?account=${account}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.ok.should.equal(false);
+      result.data.message.should.equal('The "account" is not authorized.');
+    });
+    it('successfully pages through profile agents', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      let error;
+      let page0;
+      let page1;
+      try {
+        await _createNProfiles({n: 3, account, didMethod, api});
+        page0 = await api.get(`/profile-agents/?account=${account}&limit=2`);
+        const [, next] = page0.headers.link.match(/<([^>]+)>; rel="next"/);
+        page1 = await api.get(next);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      page0.status.should.equal(200);
+      page0.data.should.have.length(2);
+      page1.status.should.equal(200);
+      page1.data.should.have.length(1);
+      should.not.exist(page1.headers.link);
+      const ids = [...page0.data, ...page1.data].map(
+        ({profileAgent}) => profileAgent.id);
+      new Set(ids).size.should.equal(3);
+      for(const {profileAgent, profileMeters} of page0.data) {
+        _shouldHaveMeters({
+          meters: profileMeters,
+          profileId: profileAgent.profile
+        });
+      }
+    });
+    it('successfully sorts profile agents newest first', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      await _createNProfiles({n: 3, account, didMethod, api});
+      const {data: oldestFirst} = await api.get(
+        `/profile-agents/?account=${account}&sort=created`);
+      const {data: newestFirst} = await api.get(
+        `/profile-agents/?account=${account}&sort=-created`);
+      newestFirst.map(({profileAgent}) => profileAgent.id).should.eql(
+        oldestFirst.map(({profileAgent}) => profileAgent.id).reverse());
+    });
+    it('successfully filters unclaimed profile agents', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {profile});
+      let result;
+      let error;
+      try {
+        result = await api.get(
+          `/profile-agents/?account=${account}&claimed=false`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(200);
+      result.data.should.have.length(1);
+      result.data[0].profileAgent.id.should.equal(profileAgentId);
+      should.not.exist(result.data[0].profileAgent.account);
+    });
+    it('does not list unclaimed profile agents to members', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const {account: {id: beta}} = accounts['beta@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      await api.post('/profile-agents', {profile});
+
+      // any account may create a (member) profile agent for the profile
+      passportStub.restore();
+      passportStub = helpers.stubPassport({email: 'beta@example.com'});
+      let result;
+      let error;
+      try {
+        await api.post('/profile-agents', {account: beta, profile});
+        result = await api.get(
+          `/profile-agents/?account=${beta}&claimed=false`);
+      } catch(e) {
+        error = e;
+      } finally {
+        passportStub.restore();
+        passportStub = helpers.stubPassport();
+      }
+      assertNoError(error);
+      result.status.should.equal(200);
+      result.data.should.have.length(0);
+    });
+    it('successfully filters profile agents created after a time',
+      async () => {
+        const {account: {id: account}} = accounts['alpha@example.com'];
+        const didMethod = 'key';
+        await api.post('/profiles', {account, didMethod});
+        const createdAfter = new Date().toISOString();
+        const {data: {id: profile}} = await api.post('/profiles',
+          {account, didMethod});
+        const result = await api.get(
+          `/profile-agents/?account=${account}&createdAfter=${createdAfter}`);
+        result.status.should.equal(200);
+        result.data.should.have.length(1);
+        result.data[0].profileAgent.profile.should.equal(profile);
+      });
+    it('throws error when "after" cursor is invalid', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const result = await api.get(
+        `/profile-agents/?account=${account}&after=invalid`);
+      result.status.should.equal(400);
+      result.data.type.should.equal('DataError');
+    });
+    it('returns a separate profile meters map for version 2', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const headers = {'Accept-Version': '2'};
+      let error;
+      let result;
+      try {
+        await _createNProfiles({n: 2, account, didMethod, api});
+        result = await api.get(
+          `/profile-agents/?account=${account}`, {headers});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
+      result.data.profileAgents.should.be.an('array');
+      result.data.profileAgents.should.have.length(2);
+      const profileIds = result.data.profileAgents.map(
+        ({profileAgent}) => profileAgent.profile);
+      Object.keys(result.data.profileMeters).should.have.members(profileIds);
+      for(const {profileAgent, profileMeters} of result.data.profileAgents) {
+        should.not.exist(profileMeters);
+        _shouldHaveMeters({
+          meters: result.data.profileMeters[profileAgent.profile],
+          profileId: profileAgent.profile
+        });
+      }
+    });
+    it('throws error when an unsupported version is requested', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const headers = {'Accept-Version': '3'};
+      let error;
+      let result;
+      try {
+        result = await api.get(
+          `/profile-agents/?account=${account}`, {headers});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(406);
+      result.data.type.should.equal('NotSupportedError');
+    });
+  }); // end gets all profile agents associated with an account
+
+  describe('GET /profile-agents/:profileAgentId (gets a profile agent' +
+    ' associated with an account)', () => {
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+    });
+    it('successfully get a profile agent by its id', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      let result;
+      let error;
+      try {
+        result = await api.get(`/profile-agents/${profileAgentId}` +
+          `?account=${account}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
+      result.ok.should.equal(true);
+      result.data.profileAgent.id.should.be.a('string');
+      result.data.profileAgent.account.should.equal(account);
+      _shouldHaveMeters({
+        meters: result.data.profileMeters,
+        profileId: profile
+      });
+    });
+    it('throws error when there is no account', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      let result;
+      let error;
+      try {
+        result = await api.get(`/profile-agents/${profileAgentId}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(400);
+      result.ok.should.equal(false);
+      result.data.message.should.equal(
+        'A validation error occured in the \'Account Query\' validator.');
+    });
+    it('throws error when account is not authorized', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const wrongAccount = '123';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      let result;
+      let error;
+      try {
+        result = await api.get(`/profile-agents/${profileAgentId}` +
+          `?account=${wrongAccount}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.ok.should.equal(false);
+      result.data.message.should.equal('The "account" is not authorized.');
+    });
+  }); // end gets a profile agent associated with an account
+
+  describe('DELETE /profile-agents/:profileAgentId (gets a profile agent' +
+    ' associated with an account)', () => {
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+    });
+    it('successfully deletes a profile agent by its id', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      let result;
+      let result0;
+      let error;
+      try {
+        result = await api.delete(`/profile-agents/${profileAgentId}` +
+          `?account=${account}`);
+      } catch(e) {
+        error = e;
+      }
+      try {
+        result0 = await api.get(`/profile-agents/${profileAgentId}` +
+        `?account=${account}`);
+      } catch(e) {
+        should.exist(e);
+      }
+      assertNoError(error);
+      should.exist(result);
+      should.exist(result0);
+      result.status.should.equal(204);
+      result.ok.should.equal(true);
+      result0.status.should.equal(404);
+      result0.ok.should.equal(false);
+    });
+    it('throws error when there is no account', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      let result;
+      let error;
+      try {
+        result = await api.delete(`/profile-agents/${profileAgentId}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(400);
+      result.ok.should.equal(false);
+      result.data.message.should.equal(
+        'A validation error occured in the \'Account Query\' validator.');
+    });
+    it('throws error when account is not authorized', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const wrongAccount = '123';
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      let result;
+      let error;
+      try {
+        result = await api.delete(`/profile-agents/${profileAgentId}` +
+          `?account=${wrongAccount}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.ok.should.equal(false);
+      result.data.message.should.equal('The "account" is not authorized.');
+    });
+  }); // end gets a profile agent associated with an account
+
+  describe('POST /profile-agents/:profileAgentId/capabilities/delegate ' +
+    '(delegates profile agent\'s zCaps to a specified "controller")', () => {
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+    });
+    it('successfully delegate profile agent\'s zcaps', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const did = 'did:example:123456789';
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const [{profileAgent}] = data;
+      const {id: profileAgentId} = profileAgent;
+      const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`,
+          {controller: did, account, zcap});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
       result.ok.should.equal(true);
       should.exist(result.data.zcap);
       result.data.zcap.should.be.an('object');
       result.data.zcap.id.should.be.a('string');
       result.data.zcap.controller.should.equal(did);
-      should.exist(result.data.zcap.expires);
-      result.data.zcap.expires.should.be.a('string');
+      should.exist(result.data.zcap.expires);
+      result.data.zcap.expires.should.be.a('string');
+    });
+    it('throws error when there is no account', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const did = 'did:example:123456789';
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const [{profileAgent}] = data;
+      const {id: profileAgentId} = profileAgent;
+      const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`,
+          {controller: did, zcap});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(400);
+      result.ok.should.equal(false);
+      result.data.message.should.equal(
+        'A validation error occured in the \'Delegate Capability\' validator.');
+    });
+    it('throws error when there is no controller', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const [{profileAgent}] = data;
+      const {id: profileAgentId} = profileAgent;
+      const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`,
+          {account, zcap});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(400);
+      result.ok.should.equal(false);
+      result.data.message.should.equal(
+        'A validation error occured in the \'Delegate Capability\' validator.');
+    });
+    it('throws error when account is not authorized', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const did = 'did:example:123456789';
+      const wrongAccount = '123';
+      const didMethod = 'v1';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const [{profileAgent}] = data;
+      const {id: profileAgentId} = profileAgent;
+      const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`,
+          {controller: did, account: wrongAccount, zcap});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.ok.should.equal(false);
+      result.data.message.should.equal('The "account" is not authorized.');
+    });
+    it('successfully delegates a batch of zcaps', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const did0 = 'did:example:123456789';
+      const did1 = 'did:example:987654321';
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const [{profileAgent}] = data;
+      const {id: profileAgentId} = profileAgent;
+      const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`, {
+            account,
+            controller: did0,
+            delegations: [{zcap}, {zcap, controller: did1}]
+          });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
+      result.data.zcaps.should.be.an('array');
+      result.data.zcaps.should.have.length(2);
+      result.data.zcaps[0].controller.should.equal(did0);
+      result.data.zcaps[1].controller.should.equal(did1);
+      for(const delegated of result.data.zcaps) {
+        delegated.parentCapability.should.equal(zcap.id);
+        delegated.expires.should.be.a('string');
+      }
+    });
+    it('throws error when any zcap in a batch is invalid', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const did = 'did:example:123456789';
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const [{profileAgent}] = data;
+      const {id: profileAgentId} = profileAgent;
+      const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+      const {id, ...invalidZcap} = zcap;
+      should.exist(id);
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`, {
+            account,
+            controller: did,
+            delegations: [{zcap}, {zcap: invalidZcap}]
+          });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(400);
+      result.data.message.should.equal(
+        'A validation error occured in the \'Delegate Capability\' validator.');
+    });
+    it('throws error when a delegation in a batch has no controller',
+      async () => {
+        const {account: {id: account}} = accounts['alpha@example.com'];
+        const did = 'did:example:123456789';
+        const didMethod = 'key';
+        const {data: {id: profile}} = await api.post('/profiles',
+          {account, didMethod});
+        const {data} = await api.get(`/profile-agents/?account=${account}` +
+          `&profile=${profile}`);
+        const [{profileAgent}] = data;
+        const {id: profileAgentId} = profileAgent;
+        const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+        let result;
+        let error;
+        try {
+          result = await api.post(
+            `/profile-agents/${profileAgentId}/capabilities/delegate`, {
+              account,
+              delegations: [{zcap, controller: did}, {zcap}]
+            });
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        should.exist(result);
+        result.status.should.equal(400);
+        result.data.type.should.equal('DataError');
+        result.data.details.index.should.equal(1);
+      });
+  }); // end delegates profile agent\'s zCaps to a specified "id"
+
+  describe('delegated zcap expiration', () => {
+    let profileAgentId;
+    let zcap;
+    beforeEach(async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const [{profileAgent}] = data;
+      profileAgentId = profileAgent.id;
+      zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+    });
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+      config['profile-http'].zcap.controllers = [];
+    });
+    it('delegates a zcap with a requested TTL', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const ttl = 60 * 60 * 1000;
+      const before = Date.now();
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`,
+          {account, controller: 'did:example:123456789', zcap, ttl});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
+      const expires = Date.parse(result.data.zcap.expires);
+      expires.should.be.at.least(before + ttl - 1000);
+      expires.should.be.at.most(Date.now() + ttl);
+    });
+    it('limits a requested TTL to the maximum TTL', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const {maxTtl} = config['profile-http'].zcap;
+      const ttl = maxTtl * 10;
+      const result = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {account, controller: 'did:example:123456789', zcap, ttl});
+      result.status.should.equal(200);
+      const expires = Date.parse(result.data.zcap.expires);
+      expires.should.be.at.most(Date.now() + maxTtl);
+    });
+    it('uses the maximum TTL of a matching controller policy', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const {maxTtl} = config['profile-http'].zcap;
+      const trustedMaxTtl = maxTtl * 2;
+      config['profile-http'].zcap.controllers = [
+        {pattern: '^did:example:trusted', maxTtl: trustedMaxTtl}
+      ];
+      const ttl = trustedMaxTtl;
+      const before = Date.now();
+      const result = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {account, controller: 'did:example:trusted-app', zcap, ttl});
+      result.status.should.equal(200);
+      const expires = Date.parse(result.data.zcap.expires);
+      expires.should.be.above(before + maxTtl);
+    });
+    it('throws error when both "expires" and "ttl" are given', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const expires = new Date(Date.now() + 60 * 1000).toISOString();
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`, {
+            account, controller: 'did:example:123456789', zcap,
+            expires, ttl: 1000
+          });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(400);
+      result.data.type.should.equal('DataError');
+    });
+  }); // end delegated zcap expiration
+
+  describe('delegation policy', () => {
+    const controller = 'did:example:123456789';
+    let profileAgentId;
+    let zcap;
+    let policyHandler;
+    before(() => {
+      events.on('bedrock-profile-http.delegateCapabilities', options => {
+        if(policyHandler) {
+          policyHandler(options);
+        }
+      });
+    });
+    beforeEach(async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const [{profileAgent}] = data;
+      profileAgentId = profileAgent.id;
+      zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+    });
+    let policy;
+    before(() => {
+      policy = structuredClone(config['profile-http'].delegationPolicy);
+    });
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+      policyHandler = undefined;
+      config['profile-http'].delegationPolicy = structuredClone(policy);
+    });
+    it('delegates a zcap with attenuated actions and target', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const invocationTarget = `${zcap.invocationTarget}/items`;
+      // a zcap without `allowedAction` allows every action
+      const [allowedAction] = [].concat(zcap.allowedAction ?? 'sign');
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`,
+          {account, controller, zcap, allowedAction, invocationTarget});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
+      result.data.zcap.controller.should.equal(controller);
+      result.data.zcap.invocationTarget.should.equal(invocationTarget);
+      result.data.zcap.parentCapability.should.equal(zcap.id);
+    });
+    it('throws error when the controller is denied', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      config['profile-http'].delegationPolicy.denyControllers = [
+        {pattern: '^did:example:'}
+      ];
+      const result = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {account, controller, zcap});
+      result.status.should.equal(403);
+      result.data.type.should.equal('NotAllowedError');
+      result.data.details.reason.should.equal('controllerDenied');
+      result.data.details.index.should.equal(0);
+    });
+    it('throws error when the controller is not allowed', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      config['profile-http'].delegationPolicy.allowControllers = [
+        {controller: 'did:example:trusted-app'}
+      ];
+      const result = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {account, controller, zcap});
+      result.status.should.equal(403);
+      result.data.details.reason.should.equal('controllerNotAllowed');
+    });
+    it('throws error when an action is not allowed', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      config['profile-http'].delegationPolicy.allowedActions = ['read'];
+      const result = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {account, controller, zcap, allowedAction: ['read', 'write']});
+      result.status.should.equal(403);
+      result.data.details.reason.should.be.oneOf(
+        ['actionNotAllowed', 'actionNotAttenuated']);
+    });
+    it('throws error when the invocation target is not attenuated',
+      async () => {
+        const {account: {id: account}} = accounts['alpha@example.com'];
+        const result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`, {
+            account, controller, zcap,
+            invocationTarget: 'https://other.example/keys/1'
+          });
+        result.status.should.equal(403);
+        result.data.details.reason.should.equal(
+          'invocationTargetNotAttenuated');
+      });
+    it('throws error when a narrower invocation target is required',
+      async () => {
+        const {account: {id: account}} = accounts['alpha@example.com'];
+        config['profile-http'].delegationPolicy
+          .requireNarrowerInvocationTarget = true;
+        const result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`,
+          {account, controller, zcap});
+        result.status.should.equal(403);
+        result.data.details.reason.should.equal(
+          'invocationTargetNotNarrower');
+      });
+    it('delegates a zcap to a resolvable controller', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const did = 'did:key:z6Mkkt1BWYLPAAXwYBwyVHAZkL94tgT8QbQv2SUxeW1U3DaG';
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capabilities/delegate`,
+          {account, controller: did, zcap});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
+      result.data.zcap.controller.should.equal(did);
     });
-    it('throws error when there is no account', async () => {
+    it('throws error when the controller cannot be resolved', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const result = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {account, controller: 'did:unknown:123456789', zcap});
+      result.status.should.equal(403);
+      result.data.type.should.equal('NotAllowedError');
+      result.data.details.reason.should.equal('controllerNotResolved');
+    });
+    it('throws error when a non-DID controller is not allowed', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const controller = 'https://app.example/agents/1';
+      let result = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {account, controller, zcap});
+      result.status.should.equal(403);
+      result.data.details.reason.should.equal('controllerNotResolved');
+
+      config['profile-http'].delegationPolicy.unresolvedControllers.push(
+        {pattern: '^https://app\\.example/'});
+      result = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {account, controller, zcap});
+      result.status.should.equal(200);
+    });
+    it('throws error when an event handler denies a delegation', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      policyHandler = ({deny}) => deny({
+        index: 1, reason: 'custom', message: 'Denied by test.'
+      });
+      const result = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`, {
+          account, controller,
+          delegations: [{zcap}, {zcap, controller: 'did:example:other'}]
+        });
+      result.status.should.equal(403);
+      result.data.details.reason.should.equal('custom');
+      result.data.details.index.should.equal(1);
+    });
+  }); // end delegation policy
+
+  describe('delegations of a profile agent', () => {
+    const controller = 'did:example:123456789';
+    let profileAgentId;
+    let zcap;
+    beforeEach(async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const did = 'did:example:123456789';
       const didMethod = 'key';
       const {data: {id: profile}} = await api.post('/profiles',
         {account, didMethod});
       const {data} = await api.get(`/profile-agents/?account=${account}` +
         `&profile=${profile}`);
       const [{profileAgent}] = data;
-      const {id: profileAgentId} = profileAgent;
-      const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+      profileAgentId = profileAgent.id;
+      zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+    });
+    afterEach(async () => {
+      await helpers.removeCollections(
+        ['profile-profileAgent', 'profile-http-delegation']);
+    });
+    it('lists delegated zcaps', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const {data: {zcap: delegated}} = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {account, controller, zcap});
+      let result;
+      let error;
+      try {
+        result = await api.get(
+          `/profile-agents/${profileAgentId}/delegations?account=${account}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
+      result.data.should.have.length(1);
+      const [delegation] = result.data;
+      delegation.id.should.be.a('string');
+      delegation.profileAgent.should.equal(profileAgentId);
+      delegation.zcap.should.equal(delegated.id);
+      delegation.controller.should.equal(controller);
+      delegation.invocationTarget.should.eql(delegated.invocationTarget);
+      delegation.expires.should.equal(delegated.expires);
+      delegation.status.should.equal('active');
+    });
+    it('revokes a delegated zcap', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`,
+        {account, controller, zcap});
+      const {data: [{id}]} = await api.get(
+        `/profile-agents/${profileAgentId}/delegations?account=${account}`);
       let result;
       let error;
       try {
         result = await api.post(
-          `/profile-agents/${profileAgentId}/capabilities/delegate`,
-          {controller: did, zcap});
+          `/profile-agents/${profileAgentId}/delegations/${id}/revoke`,
+          {account});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
+      result.data.status.should.equal('revoked');
+      result.data.revokedBy.should.equal(account);
+
+      // revoked delegations can be filtered and not revoked again
+      const {data: active} = await api.get(
+        `/profile-agents/${profileAgentId}/delegations?account=${account}` +
+        '&status=active');
+      active.should.have.length(0);
+      const again = await api.post(
+        `/profile-agents/${profileAgentId}/delegations/${id}/revoke`,
+        {account});
+      again.status.should.equal(409);
+      again.data.type.should.equal('InvalidStateError');
+    });
+    it('throws error when delegation is not found', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const result = await api.post(
+        `/profile-agents/${profileAgentId}/delegations/unknown/revoke`,
+        {account});
+      result.status.should.equal(404);
+      result.data.type.should.equal('NotFoundError');
+    });
+    it('throws error when account is not authorized', async () => {
+      const {account: {id: account}} = accounts['beta@example.com'];
+      const result = await api.get(
+        `/profile-agents/${profileAgentId}/delegations?account=${account}`);
+      result.status.should.equal(403);
+      result.data.type.should.equal('NotAllowedError');
+    });
+  }); // end delegations of a profile agent
+
+  describe('POST /profile-agents/:profileAgentId/capability-set ' +
+    '(update profile agent\'s zcaps (updates their capability set)', () => {
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+    });
+    it('successfully update zcaps for a profile agent', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'v1';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      const validZcaps = {
+        key: data[0].profileAgent.zcaps.profileCapabilityInvocationKey
+      };
+      let result;
+      let result0;
+      let error;
+      try {
+        result = await api.post(`/profile-agents/${profileAgentId}` +
+          `/capability-set?account=${account}`, {zcaps: validZcaps});
+        result0 = await api.get(`/profile-agents/${profileAgentId}` +
+          `?account=${account}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(204);
+      result.ok.should.equal(true);
+      result0.data.profileAgent.zcaps.should.eql(validZcaps);
+    });
+    it('should not throw error if zcap `expires` pattern does not ' +
+      'include millisecond', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'v1';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      // zcaps delegated with a `Date` expiration omit milliseconds
+      const zcap = data[0].profileAgent.zcaps.profileCapabilityInvocationKey;
+      zcap.expires.should.match(/T\d{2}:\d{2}:\d{2}Z$/);
+      let result;
+      let result0;
+      let error;
+      try {
+        result = await api.post(`/profile-agents/${profileAgentId}` +
+          `/capability-set?account=${account}`, {zcaps: {key: zcap}});
+        result0 = await api.get(`/profile-agents/${profileAgentId}` +
+          `?account=${account}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(204);
+      result.ok.should.equal(true);
+      result0.data.profileAgent.zcaps.key.expires.should.equal(zcap.expires);
+    });
+    it('throws error when a zcap\'s proof does not match it', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'v1';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      const zcap = data[0].profileAgent.zcaps.profileCapabilityInvocationKey;
+      // change expires without re-signing the zcap
+      const tampered = {...zcap, expires: '2050-09-10T15:56:22Z'};
+      let result;
+      let error;
+      try {
+        result = await api.post(`/profile-agents/${profileAgentId}` +
+          `/capability-set?account=${account}`, {zcaps: {key: tampered}});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(400);
+      result.data.type.should.equal('DataError');
+      result.data.details.errors.should.have.length(1);
+      result.data.details.errors[0].name.should.equal('key');
+      result.data.details.errors[0].reason.should.equal('invalidProof');
+    });
+    it('throws error when a zcap does not have expires field', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'v1';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      const zcapWithoutExpires = {
+        ...data[0].profileAgent.zcaps.profileCapabilityInvocationKey
+      };
+      delete zcapWithoutExpires.expires;
+      let result;
+      let error;
+      try {
+        result = await api.post(`/profile-agents/${profileAgentId}` +
+          `/capability-set?account=${account}`,
+        {zcaps: {key: zcapWithoutExpires}});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(400);
+      result.data.details.errors[0].reason.should.equal('missingExpires');
+    });
+    it('throws error for each rejected zcap', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'v1';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      // mock zcaps are not delegated to the profile agent
+      const result = await api.post(`/profile-agents/${profileAgentId}` +
+        `/capability-set?account=${account}`, {zcaps});
+      result.status.should.equal(400);
+      result.data.type.should.equal('DataError');
+      result.data.details.errors.map(({name}) => name).should.have.members(
+        Object.keys(zcaps));
+      for(const error of result.data.details.errors) {
+        error.reason.should.equal('controllerMismatch');
+      }
+    });
+    it('throws error when there is no zcaps', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const noZcaps = '';
+      const didMethod = 'v1';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      let result;
+      let error;
+      try {
+        result = await api.post(`/profile-agents/${profileAgentId}` +
+          `/capability-set?account=${account}`, {zcaps: noZcaps});
       } catch(e) {
         error = e;
       }
@@ -536,200 +2654,371 @@ describe('bedrock-profile-http', () => {
       result.status.should.equal(400);
       result.ok.should.equal(false);
       result.data.message.should.equal(
-        'A validation error occured in the \'Delegate Capability\' validator.');
+        'A validation error occured in the \'zcaps\' validator.');
+    });
+    it('throws error when account is not authorized', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const wrongAccount = '123';
+      const didMethod = 'v1';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      const {id: profileAgentId} = data[0].profileAgent;
+      let result;
+      let error;
+      try {
+        result = await api.post(`/profile-agents/${profileAgentId}` +
+          `/capability-set?account=${wrongAccount}`, {zcaps});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(403);
+      result.ok.should.equal(false);
+      result.data.message.should.equal('The "account" is not authorized.');
+    });
+  }); // end update profile agent's zcaps (updates their capability set
+
+  describe('GET /profile-agents/:profileAgentId/capability-set ' +
+    '(gets profile agent\'s zcaps)', () => {
+    let profileAgentId;
+    let agentZcaps;
+    let url;
+    beforeEach(async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'v1';
+      const {data: {id: profile}} = await api.post('/profiles',
+        {account, didMethod});
+      const {data} = await api.get(`/profile-agents/?account=${account}` +
+        `&profile=${profile}`);
+      profileAgentId = data[0].profileAgent.id;
+      agentZcaps = data[0].profileAgent.zcaps;
+      url = `/profile-agents/${profileAgentId}/capability-set` +
+        `?account=${account}`;
+    });
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+    });
+    it('successfully gets zcaps for a profile agent', async () => {
+      let result;
+      let error;
+      try {
+        result = await api.get(url);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(200);
+      result.data.zcaps.should.eql(agentZcaps);
+      result.data.sequence.should.be.a('number');
+      result.headers.etag.should.equal(`"${result.data.sequence}"`);
+    });
+    it('filters zcaps by invocation target', async () => {
+      const {invocationTarget} = agentZcaps.profileCapabilityInvocationKey;
+      const target = invocationTarget.id ?? invocationTarget;
+      // the keystore of the key
+      const keystore = target.slice(0, target.lastIndexOf('/keys/'));
+      let result = await api.get(
+        `${url}&invocationTarget=${encodeURIComponent(keystore)}`);
+      result.status.should.equal(200);
+      Object.keys(result.data.zcaps).should.include(
+        'profileCapabilityInvocationKey');
+      result = await api.get(`${url}&invocationTarget=` +
+        encodeURIComponent('https://other.example/keystores'));
+      result.status.should.equal(200);
+      result.data.zcaps.should.eql({});
+    });
+    it('filters zcaps by how soon they expire', async () => {
+      let result = await api.get(`${url}&expiresWithin=${60 * 1000}`);
+      result.status.should.equal(200);
+      result.data.zcaps.should.eql({});
+      const hundredYears = 100 * 365 * 24 * 60 * 60 * 1000;
+      result = await api.get(`${url}&expiresWithin=${hundredYears}`);
+      result.status.should.equal(200);
+      Object.keys(result.data.zcaps).should.include(
+        'profileCapabilityInvocationKey');
+    });
+    it('throws error when account is not authorized', async () => {
+      const {account: {id: account}} = accounts['beta@example.com'];
+      const result = await api.get(
+        `/profile-agents/${profileAgentId}/capability-set?account=${account}`);
+      result.status.should.equal(403);
+      result.data.type.should.equal('NotAllowedError');
     });
-    it('throws error when there is no controller', async () => {
+  }); // end gets profile agent's zcaps
+
+  describe('PATCH /profile-agents/:profileAgentId/capability-set ' +
+    '(incrementally update profile agent\'s zcaps)', () => {
+    let profileAgentId;
+    let zcap;
+    let url;
+    beforeEach(async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const didMethod = 'key';
+      const didMethod = 'v1';
       const {data: {id: profile}} = await api.post('/profiles',
         {account, didMethod});
       const {data} = await api.get(`/profile-agents/?account=${account}` +
         `&profile=${profile}`);
-      const [{profileAgent}] = data;
-      const {id: profileAgentId} = profileAgent;
-      const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+      profileAgentId = data[0].profileAgent.id;
+      zcap = data[0].profileAgent.zcaps.profileCapabilityInvocationKey;
+      url = `/profile-agents/${profileAgentId}/capability-set` +
+        `?account=${account}`;
+    });
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+    });
+    it('successfully adds, replaces, and removes zcaps', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const {data: before} = await api.get(
+        `/profile-agents/${profileAgentId}?account=${account}`);
       let result;
       let error;
       try {
-        result = await api.post(
-          `/profile-agents/${profileAgentId}/capabilities/delegate`,
-          {account, zcap});
+        result = await api.patch(url, {
+          sequence: before.profileAgent.sequence,
+          operations: [
+            {op: 'add', name: 'zero', zcap},
+            {op: 'add', name: 'one', zcap},
+            {op: 'replace', name: 'one', zcap},
+            {op: 'remove', name: 'zero'}
+          ]
+        });
       } catch(e) {
         error = e;
       }
       assertNoError(error);
       should.exist(result);
-      result.status.should.equal(400);
-      result.ok.should.equal(false);
-      result.data.message.should.equal(
-        'A validation error occured in the \'Delegate Capability\' validator.');
+      result.status.should.equal(204);
+      result.headers.etag.should.equal(
+        `"${before.profileAgent.sequence + 1}"`);
+      const {data: after} = await api.get(
+        `/profile-agents/${profileAgentId}?account=${account}`);
+      after.profileAgent.zcaps.one.should.eql(zcap);
+      should.not.exist(after.profileAgent.zcaps.zero);
+      should.exist(after.profileAgent.zcaps.profileCapabilityInvocationKey);
     });
-    it('throws error when account is not authorized', async () => {
+    it('successfully updates with a matching "If-Match" header', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const did = 'did:example:123456789';
-      const wrongAccount = '123';
-      const didMethod = 'v1';
+      const {headers: {etag}} = await api.get(
+        `/profile-agents/${profileAgentId}?account=${account}`);
+      const result = await api.patch(url, {
+        operations: [{op: 'add', name: 'zero', zcap}]
+      }, {headers: {'If-Match': etag}});
+      result.status.should.equal(204);
+    });
+    it('throws error when the sequence has moved on', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const {headers: {etag}} = await api.get(
+        `/profile-agents/${profileAgentId}?account=${account}`);
+      await api.patch(url, {
+        operations: [{op: 'add', name: 'zero', zcap}]
+      }, {headers: {'If-Match': etag}});
+      const result = await api.patch(url, {
+        operations: [{op: 'add', name: 'one', zcap}]
+      }, {headers: {'If-Match': etag}});
+      result.status.should.equal(412);
+      result.data.type.should.equal('InvalidStateError');
+    });
+    it('throws error when adding a zcap that exists', async () => {
+      const result = await api.patch(url, {
+        operations: [{
+          op: 'add', name: 'profileCapabilityInvocationKey', zcap
+        }]
+      });
+      result.status.should.equal(409);
+      result.data.type.should.equal('InvalidStateError');
+      result.data.details.index.should.equal(0);
+    });
+    it('throws error when removing a zcap that does not exist', async () => {
+      const result = await api.patch(url, {
+        operations: [{op: 'remove', name: 'unknown'}]
+      });
+      result.status.should.equal(409);
+      result.data.type.should.equal('InvalidStateError');
+    });
+  }); // end incrementally update profile agent's zcaps
+
+  describe('expiring zcaps in a capability set', () => {
+    let profileAgentId;
+    let zcap;
+    beforeEach(async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const didMethod = 'key';
       const {data: {id: profile}} = await api.post('/profiles',
         {account, didMethod});
       const {data} = await api.get(`/profile-agents/?account=${account}` +
         `&profile=${profile}`);
-      const [{profileAgent}] = data;
-      const {id: profileAgentId} = profileAgent;
-      const zcap = profileAgent.zcaps.profileCapabilityInvocationKey;
+      profileAgentId = data[0].profileAgent.id;
+      // add a short-lived zcap delegated to the profile agent by itself
+      const {data: {zcap: delegated}} = await api.post(
+        `/profile-agents/${profileAgentId}/capabilities/delegate`, {
+          account, controller: profileAgentId,
+          zcap: data[0].profileAgent.zcaps.profileCapabilityInvocationKey,
+          ttl: 60 * 1000
+        });
+      zcap = delegated;
+      await api.patch(
+        `/profile-agents/${profileAgentId}/capability-set` +
+        `?account=${account}`,
+        {operations: [{op: 'add', name: 'shortLived', zcap}]});
+    });
+    afterEach(async () => {
+      await helpers.removeCollections(
+        ['profile-profileAgent', 'profile-http-delegation']);
+    });
+    it('reports zcaps that expire within a window', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
       let result;
       let error;
       try {
-        result = await api.post(
-          `/profile-agents/${profileAgentId}/capabilities/delegate`,
-          {controller: did, account: wrongAccount, zcap});
+        result = await api.get(
+          `/profile-agents/${profileAgentId}/capability-set/expiring` +
+          `?account=${account}&within=${2 * 60 * 1000}`);
       } catch(e) {
         error = e;
       }
       assertNoError(error);
       should.exist(result);
-      result.status.should.equal(403);
-      result.ok.should.equal(false);
-      result.data.message.should.equal('The "account" is not authorized.');
+      result.status.should.equal(200);
+      result.data.should.have.length(1);
+      const [expiring] = result.data;
+      expiring.name.should.equal('shortLived');
+      expiring.id.should.equal(zcap.id);
+      expiring.expires.should.equal(zcap.expires);
+      expiring.refreshable.should.equal(true);
     });
-  }); // end delegates profile agent\'s zCaps to a specified "id"
-
-  describe('POST /profile-agents/:profileAgentId/capability-set ' +
-    '(update profile agent\'s zcaps (updates their capability set)', () => {
-    afterEach(async () => {
-      await helpers.removeCollections(['profile-profileAgent']);
+    it('reports zcaps that cannot be refreshed', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      const hundredYears = 100 * 365 * 24 * 60 * 60 * 1000;
+      const result = await api.get(
+        `/profile-agents/${profileAgentId}/capability-set/expiring` +
+        `?account=${account}&within=${hundredYears}`);
+      result.status.should.equal(200);
+      const key = result.data.find(
+        ({name}) => name === 'profileCapabilityInvocationKey');
+      should.exist(key);
+      key.refreshable.should.equal(false);
+      key.reason.should.equal('parentNotFound');
     });
-    it('successfully update zcaps for a profile agent', async () => {
+    it('refreshes zcaps that expire within a window', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const didMethod = 'v1';
-      const {data: {id: profile}} = await api.post('/profiles',
-        {account, didMethod});
-      const {data} = await api.get(`/profile-agents/?account=${account}` +
-        `&profile=${profile}`);
-      const {id: profileAgentId} = data[0].profileAgent;
       let result;
-      let result0;
       let error;
       try {
-        result = await api.post(`/profile-agents/${profileAgentId}` +
-          `/capability-set?account=${account}`, {zcaps});
-        result0 = await api.get(`/profile-agents/${profileAgentId}` +
-          `?account=${account}`);
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capability-set/refresh`,
+          {account, within: 2 * 60 * 1000});
       } catch(e) {
         error = e;
       }
       assertNoError(error);
       should.exist(result);
-      result.status.should.equal(204);
-      result.ok.should.equal(true);
-      result0.data.profileAgent.zcaps.should.eql(zcaps);
+      result.status.should.equal(200);
+      result.data.failed.should.eql([]);
+      result.data.refreshed.should.have.length(1);
+      result.data.refreshed[0].name.should.equal('shortLived');
+      const {data} = await api.get(
+        `/profile-agents/${profileAgentId}/capability-set` +
+        `?account=${account}`);
+      const refreshed = data.zcaps.shortLived;
+      refreshed.id.should.not.equal(zcap.id);
+      refreshed.controller.should.equal(profileAgentId);
+      refreshed.parentCapability.should.equal(zcap.parentCapability);
+      Date.parse(refreshed.expires).should.be.above(Date.parse(zcap.expires));
     });
-    it('should not throw error if zcap `expires` pattern does not ' +
-      'include millisecond', async () => {
+    it('does not refresh revoked zcaps', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const didMethod = 'v1';
-      const {data: {id: profile}} = await api.post('/profiles',
-        {account, didMethod});
-      const {data} = await api.get(`/profile-agents/?account=${account}` +
-        `&profile=${profile}`);
-      const zcapsCopy = {...zcaps};
-      for(const prop in zcapsCopy) {
-        // change expires to not have millisecond
-        zcapsCopy[prop].expires = '2050-09-10T15:56:22';
-      }
-      const {id: profileAgentId} = data[0].profileAgent;
+      const {data: [{id}]} = await api.get(
+        `/profile-agents/${profileAgentId}/delegations?account=${account}`);
+      await api.post(
+        `/profile-agents/${profileAgentId}/delegations/${id}/revoke`,
+        {account});
       let result;
-      let result0;
       let error;
       try {
-        result = await api.post(`/profile-agents/${profileAgentId}` +
-          `/capability-set?account=${account}`, {zcaps: zcapsCopy});
-        result0 = await api.get(`/profile-agents/${profileAgentId}` +
-          `?account=${account}`);
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/capability-set/refresh`,
+          {account, within: 2 * 60 * 1000});
       } catch(e) {
         error = e;
       }
       assertNoError(error);
       should.exist(result);
-      result.status.should.equal(204);
-      result.ok.should.equal(true);
-      should.exist(result0.data.profileAgent.zcaps);
+      result.status.should.equal(200);
+      result.data.refreshed.should.eql([]);
+      result.data.failed.should.eql([{name: 'shortLived', reason: 'revoked'}]);
     });
-    it('should not throw error if zcaps do not have expires field',
-      async () => {
-        const {account: {id: account}} = accounts['alpha@example.com'];
-        const didMethod = 'v1';
-        const {data: {id: profile}} = await api.post('/profiles',
-          {account, didMethod});
-        const {data} = await api.get(`/profile-agents/?account=${account}` +
-          `&profile=${profile}`);
-        const {id: profileAgentId} = data[0].profileAgent;
-        let result;
-        let result0;
-        let error;
-        const zcapWithoutExpires = {zero: {...zcaps.zero}};
-        delete zcapWithoutExpires.zero.expires;
-        try {
-          result = await api.post(`/profile-agents/${profileAgentId}` +
-            `/capability-set?account=${account}`, {zcaps: zcapWithoutExpires});
-          result0 = await api.get(`/profile-agents/${profileAgentId}` +
-            `?account=${account}`);
-        } catch(e) {
-          error = e;
-        }
-        assertNoError(error);
-        should.exist(result);
-        result.status.should.equal(204);
-        result.ok.should.equal(true);
-        should.not.exist(result0.data.profileAgent.zcaps.zero.expires);
-      });
-    it('throws error when there is no zcaps', async () => {
+    it('throws error when account is not authorized', async () => {
+      const {account: {id: account}} = accounts['beta@example.com'];
+      const result = await api.post(
+        `/profile-agents/${profileAgentId}/capability-set/refresh`,
+        {account});
+      result.status.should.equal(403);
+      result.data.type.should.equal('NotAllowedError');
+    });
+  }); // end expiring zcaps in a capability set
+
+  describe('per-account quotas', () => {
+    afterEach(async () => {
+      await helpers.removeCollections(['profile-profileAgent']);
+      config['profile-http'].quotas.accounts = {};
+    });
+    it('throws error when profile quota is exceeded', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const noZcaps = '';
-      const didMethod = 'v1';
-      const {data: {id: profile}} = await api.post('/profiles',
-        {account, didMethod});
-      const {data} = await api.get(`/profile-agents/?account=${account}` +
-        `&profile=${profile}`);
-      const {id: profileAgentId} = data[0].profileAgent;
+      config['profile-http'].quotas.accounts[account] = {maxProfiles: 1};
+      const didMethod = 'key';
+      const result0 = await api.post('/profiles', {account, didMethod});
+      result0.status.should.equal(200);
       let result;
       let error;
       try {
-        result = await api.post(`/profile-agents/${profileAgentId}` +
-          `/capability-set?account=${account}`, {zcaps: noZcaps});
+        result = await api.post('/profiles', {account, didMethod});
       } catch(e) {
         error = e;
       }
       assertNoError(error);
       should.exist(result);
-      result.status.should.equal(400);
+      result.status.should.equal(403);
       result.ok.should.equal(false);
-      result.data.message.should.equal(
-        'A validation error occured in the \'zcaps\' validator.');
+      result.data.type.should.equal('QuotaExceededError');
+      result.data.details.quota.should.equal('maxProfiles');
+      result.data.details.limit.should.equal(1);
     });
-    it('throws error when account is not authorized', async () => {
+    it('throws error when profile agent quota is exceeded', async () => {
       const {account: {id: account}} = accounts['alpha@example.com'];
-      const wrongAccount = '123';
-      const didMethod = 'v1';
-      const {data: {id: profile}} = await api.post('/profiles',
-        {account, didMethod});
-      const {data} = await api.get(`/profile-agents/?account=${account}` +
-        `&profile=${profile}`);
-      const {id: profileAgentId} = data[0].profileAgent;
+      config['profile-http'].quotas.accounts[account] = {maxProfileAgents: 1};
+      const profile = 'did:example:1234';
+      const result0 = await api.post('/profile-agents', {account, profile});
+      result0.status.should.equal(200);
       let result;
       let error;
       try {
-        result = await api.post(`/profile-agents/${profileAgentId}` +
-          `/capability-set?account=${wrongAccount}`, {zcaps});
+        result = await api.post('/profile-agents', {account, profile});
       } catch(e) {
         error = e;
       }
       assertNoError(error);
       should.exist(result);
       result.status.should.equal(403);
-      result.ok.should.equal(false);
-      result.data.message.should.equal('The "account" is not authorized.');
+      result.data.type.should.equal('QuotaExceededError');
+      result.data.details.quota.should.equal('maxProfileAgents');
     });
-  }); // end update profile agent's zcaps (updates their capability set
+    it('throws error when claiming exceeds profile agent quota', async () => {
+      const {account: {id: account}} = accounts['alpha@example.com'];
+      config['profile-http'].quotas.accounts[account] = {maxProfileAgents: 1};
+      const profile = 'did:example:1234';
+      await api.post('/profile-agents', {account, profile});
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {profile});
+      const result = await api.post(
+        `/profile-agents/${profileAgentId}/claim`, {account});
+      result.status.should.equal(403);
+      result.data.type.should.equal('QuotaExceededError');
+    });
+  }); // end per-account quotas
 
   describe('account claims a profile agent', () => {
     beforeEach(async () => {
@@ -845,6 +3134,171 @@ describe('bedrock-profile-http', () => {
       result.data.type.should.equal('NotAllowedError');
     });
   });
+  describe('account redeems a token-bound profile agent', () => {
+    beforeEach(async () => {
+      await helpers.removeCollections([
+        'profile-profileAgent', 'profile-http-tokenRedemptionAttempt'
+      ]);
+    });
+    it('should succeed', async () => {
+      const {account: {id: alphaAccountId}} = accounts['alpha@example.com'];
+      const profile = 'did:example:5c1f4a0e-3b4e-4d55-9f0e-2b0c6f1c8a11';
+      const token = 'c0a9b3d2-onboarding-token-1';
+      let result;
+      let error;
+      try {
+        result = await api.post('/profile-agents', {profile, token});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      const {profileAgent: {id: profileAgentId}} = result.data;
+      should.exist(profileAgentId);
+      result = null;
+      error = null;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/redeem`,
+          {account: alphaAccountId, token});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(204);
+
+      result = null;
+      error = null;
+      try {
+        result = await api.get(
+          `/profile-agents/${profileAgentId}?account=${alphaAccountId}`);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result.data);
+      result.data.profileAgent.account.should.equal(alphaAccountId);
+      result.data.profileAgent.sequence.should.equal(1);
+
+      // token is cleared so it cannot be redeemed again
+      result = null;
+      error = null;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/redeem`,
+          {account: alphaAccountId, token});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(400);
+      result.data.type.should.equal('NotAllowedError');
+    });
+    it('throws error when token does not match', async () => {
+      const {account: {id: alphaAccountId}} = accounts['alpha@example.com'];
+      const profile = 'did:example:8d7b2b51-6a6f-4f0b-b1d4-7c6a6e2e0f42';
+      const token = 'c0a9b3d2-onboarding-token-2';
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {profile, token});
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/redeem`,
+          {account: alphaAccountId, token: 'wrong-token'});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(400);
+      result.data.type.should.equal('NotAllowedError');
+      result.data.message.should.equal('Profile agent cannot be redeemed.');
+    });
+    it('throws error after too many failed attempts', async () => {
+      const {account: {id: alphaAccountId}} = accounts['alpha@example.com'];
+      const profile = 'did:example:1e0e6a9c-0f1b-4c52-8d0e-2f7c3e6b5d73';
+      const token = 'c0a9b3d2-onboarding-token-3';
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {profile, token});
+      const {maxFailedAttempts} = config['profile-http'].tokenRedemption;
+      for(let i = 0; i < maxFailedAttempts; ++i) {
+        const result = await api.post(
+          `/profile-agents/${profileAgentId}/redeem`,
+          {account: alphaAccountId, token: 'wrong-token'});
+        result.status.should.equal(400);
+      }
+      let result;
+      let error;
+      try {
+        // even the correct token is refused while rate limited
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/redeem`,
+          {account: alphaAccountId, token});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(429);
+      result.data.type.should.equal('NotAllowedError');
+      should.exist(result.headers['retry-after']);
+    });
+    it('throws error when profile agent has a different account',
+      async () => {
+        const {account: {id: alphaAccountId}} = accounts['alpha@example.com'];
+        const {account: {id: betaAccountId}} = accounts['beta@example.com'];
+        const profile = 'did:example:6f2e8d1c-4b3a-4c5d-9e7f-0a1b2c3d4e5f';
+        const token = 'c0a9b3d2-onboarding-token-5';
+        // claimed and token-bound at once
+        const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+          '/profile-agents', {account: alphaAccountId, profile, token});
+
+        passportStub.restore();
+        passportStub = helpers.stubPassport({email: 'beta@example.com'});
+        let result;
+        let error;
+        try {
+          result = await api.post(
+            `/profile-agents/${profileAgentId}/redeem`,
+            {account: betaAccountId, token});
+        } catch(e) {
+          error = e;
+        } finally {
+          passportStub.restore();
+          passportStub = helpers.stubPassport();
+        }
+        assertNoError(error);
+        should.exist(result);
+        result.status.should.equal(400);
+        result.data.type.should.equal('NotAllowedError');
+
+        // profile agent still belongs to its account
+        const {data} = await api.get(
+          `/profile-agents/${profileAgentId}?account=${alphaAccountId}`);
+        data.profileAgent.account.should.equal(alphaAccountId);
+      });
+    it('NotAllowedError on account and session mismatch', async () => {
+      const profile = 'did:example:4b2d7e8f-2a3c-4e1d-9b6a-0c5f8e7d6a94';
+      const token = 'c0a9b3d2-onboarding-token-4';
+      const {data: {profileAgent: {id: profileAgentId}}} = await api.post(
+        '/profile-agents', {profile, token});
+      let result;
+      let error;
+      try {
+        result = await api.post(
+          `/profile-agents/${profileAgentId}/redeem`,
+          // does not match the authenticated alpha account
+          {account: 'urn:uuid:3f5a526c-aa48-4a7e-9075-b3507456f324', token});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      result.status.should.equal(400);
+      result.data.type.should.equal('NotAllowedError');
+    });
+  });
 }); // end bedrock-profile-http
 
 async function _createNProfiles({n, api, account, didMethod}) {
@@ -856,9 +3310,21 @@ async function _createNProfiles({n, api, account, didMethod}) {
   return Promise.all(promises);
 }
 
-function _shouldHaveMeters({meters, profileId}) {
+async function _waitForProvisioningJob({api, account, jobId}) {
+  for(let i = 0; i < 100; ++i) {
+    const {data: job} = await api.get(
+      `/profiles/jobs/${jobId}?account=${account}`);
+    if(job.status === 'complete' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Provisioning job "${jobId}" did not finish.`);
+}
+
+function _shouldHaveMeters({meters, profileId, profileAgentIds = []}) {
   meters.should.be.an('array');
-  meters.should.have.length(2);
+  meters.should.have.length(2 + profileAgentIds.length);
   const {meter: edvMeter} = meters.find(
     m => m.meter.serviceType === 'edv');
   edvMeter.id.should.be.a('string');
@@ -866,14 +3332,20 @@ function _shouldHaveMeters({meters, profileId}) {
   edvMeter.serviceType.should.equal('edv');
   edvMeter.referenceId.should.equal('profile:core:edv');
   const {meter: kmsMeter} = meters.find(
-    m => m.meter.serviceType === 'webkms');
+    m => m.meter.referenceId === 'profile:core:webkms');
   kmsMeter.id.should.be.a('string');
   kmsMeter.profile.should.equal(profileId);
   kmsMeter.serviceType.should.equal('webkms');
-  kmsMeter.referenceId.should.equal('profile:core:webkms');
+  for(const profileAgentId of profileAgentIds) {
+    _shouldHaveProfileAgentMeter({meters, profileId, profileAgentId});
+  }
 }
 
-function _shouldHaveNoMeters({meters}) {
+function _shouldHaveProfileAgentMeter({meters, profileId, profileAgentId}) {
   should.exist(meters);
-  meters.should.have.length(0);
+  const referenceId = `profileAgent:${profileAgentId}:webkms`;
+  const {meter} = meters.find(m => m.meter.referenceId === referenceId);
+  meter.id.should.be.a('string');
+  meter.profile.should.equal(profileId);
+  meter.serviceType.should.equal('webkms');
 }
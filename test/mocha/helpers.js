@@ -73,6 +73,11 @@ export async function removeCollection(collectionName) {
   return removeCollections([collectionName]);
 }
 
+export async function countRecords(collectionName) {
+  await database.openCollections([collectionName]);
+  return database.collections[collectionName].countDocuments({});
+}
+
 async function insertTestData(mockData) {
   const records = Object.values(mockData.accounts);
   for(const record of records) {
@@ -15,16 +15,23 @@ mockData.productIdMap = new Map([
   ['urn:uuid:80a82316-e8c2-11eb-9570-10bf48838a41', 'webkms'],
   // edv service
   ['edv', 'urn:uuid:dbd15f08-ff67-11eb-893b-10bf48838a41'],
-  ['urn:uuid:dbd15f08-ff67-11eb-893b-10bf48838a41', 'edv']
+  ['urn:uuid:dbd15f08-ff67-11eb-893b-10bf48838a41', 'edv'],
+  // allowed non-default webkms service product
+  ['urn:uuid:4f2b6f3c-9b43-4e5e-a0a2-6d3d3d5b1c1e', 'webkms']
 ]);
 
+mockData.allowedProducts = {
+  webkms: 'urn:uuid:4f2b6f3c-9b43-4e5e-a0a2-6d3d3d5b1c1e'
+};
+
 const zcaps = mockData.zcaps = {};
 const accounts = mockData.accounts = {};
 
-const email = 'alpha@example.com';
-accounts[email] = {};
-accounts[email].account = createAccount(email);
-accounts[email].meta = {};
+for(const email of ['alpha@example.com', 'beta@example.com']) {
+  accounts[email] = {};
+  accounts[email].account = createAccount(email);
+  accounts[email].meta = {};
+}
 
 function createAccount(email) {
   const newAccount = {
@@ -32,7 +32,17 @@ config.profile.kms.ipAllowList = ['127.0.0.1/32', '::1/128'];
 
 config['did-io'].methodOverrides.v1.disableFetch = true;
 
+// delegate to example DIDs without resolving them
+config['profile-http'].delegationPolicy.unresolvedControllers = [
+  {pattern: '^did:example:'}
+];
+
 // example additional EDV
 config['profile-http'].additionalEdvs = {
   credentials: {referenceId: 'credentials'},
 };
+
+// example allowed non-default product
+config['profile-http'].allowedProducts.webkms = [
+  'urn:uuid:4f2b6f3c-9b43-4e5e-a0a2-6d3d3d5b1c1e'
+];